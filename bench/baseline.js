@@ -0,0 +1,118 @@
+/**
+ * The conversion of {@link TypedArrayBuffer#copyTo} before it was split into
+ * per-format kernels, kept as the baseline of the benchmark.
+ *
+ * Interleaved data is copied one sample at a time through the virtual `_get`,
+ * and integer formats convert every sample with a branch and a division.
+ */
+
+class TypedArrayBuffer {
+  constructor (channels, interleaved, it) {
+    this._channels = channels
+    this._interleaved = interleaved
+    this._it = it
+  }
+
+  get length () {
+    return this._it.length / this._channels
+  }
+
+  _get (i) {
+    return this._it[i]
+  }
+
+  _bulkCopy (to, toOffset, fromOffset, length) {
+    to.set(this._it.subarray(fromOffset, fromOffset + length), toOffset)
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    for (let channel = 0; channel < this._channels; channel++) {
+      const channelData = to.getChannelData(channel)
+      if (this._interleaved && this._channels > 1) {
+        // For interleaved data we have to copy every sample on its own
+        for (let i = 0; i < length; i++) {
+          const actualFromOffset = (fromOffset + i) * this._channels + channel
+          channelData[toOffset + i] = this._get(actualFromOffset)
+        }
+      } else {
+        // Otherwise we can do a bulk copy
+        const actualFromOffset = this.length * channel + fromOffset
+        this._bulkCopy(channelData, toOffset, actualFromOffset, length)
+      }
+    }
+  }
+}
+
+class IntArrayBuffer extends TypedArrayBuffer {
+  constructor (channels, interleaved, it, bits) {
+    super(channels, interleaved, it)
+    this._negativeScale = Math.pow(2, bits - 1)
+    this._positiveScale = this._negativeScale - 1
+  }
+
+  _get (i) {
+    const val = this._it[i]
+    return val / (val > 0 ? this._positiveScale : this._negativeScale)
+  }
+
+  _bulkCopy (to, toOffset, fromOffset, length) {
+    for (let i = 0; i < length; i++) {
+      to[toOffset + i] = this._get(fromOffset + i)
+    }
+  }
+}
+
+class Uint8ArrayBuffer extends TypedArrayBuffer {
+  _get (i) {
+    const val = this._it[i] - 128
+    return val / (val > 0 ? 127 : 128)
+  }
+
+  _bulkCopy (to, toOffset, fromOffset, length) {
+    for (let i = 0; i < length; i++) {
+      to[toOffset + i] = this._get(fromOffset + i)
+    }
+  }
+}
+
+class CompandedBuffer extends TypedArrayBuffer {
+  constructor (channels, interleaved, it, table) {
+    super(channels, interleaved, it)
+    this._table = table
+  }
+
+  _get (i) {
+    return this._table[this._it[i]]
+  }
+
+  _bulkCopy (to, toOffset, fromOffset, length) {
+    const table = this._table
+    const it = this._it
+    for (let i = 0; i < length; i++) {
+      to[toOffset + i] = table[it[fromOffset + i]]
+    }
+  }
+}
+
+/**
+ * Create a chunk converted the way the specified format used to.
+ * @param {AudioBufferFormat} Format - One of the built-in typed array formats
+ * @param {number} channels - Number of channels
+ * @param {boolean} interleaved - Whether the samples are interleaved
+ * @param {TypedArray} it - The samples
+ * @returns {Object} The chunk, implementing `copyTo`
+ */
+function createBaseline (Format, channels, interleaved, it) {
+  if (Format.table) {
+    return new CompandedBuffer(channels, interleaved, it, Format.table)
+  }
+  if (Format.sampleOffset) {
+    return new Uint8ArrayBuffer(channels, interleaved, it)
+  }
+  if (Format.bits) {
+    return new IntArrayBuffer(channels, interleaved, it, Format.bits)
+  }
+  return new TypedArrayBuffer(channels, interleaved, it)
+}
+
+module.exports = createBaseline
@@ -0,0 +1,197 @@
+/**
+ * Benchmarks of the conversion of queued data to Web Audio samples.
+ *
+ * Compares {@link AudioBufferFormat#copyTo} of the built-in formats with the
+ * previous implementation (see `baseline.js`) and measures the render throughput
+ * of a BufferQueueNode in web-audio-engine. Run with `npm run bench`, or with
+ * `npm run bench:check` to exit with an error if any format is slower than the
+ * baseline.
+ */
+var childProcess = require('child_process')
+var RenderingAudioContext = require('web-audio-engine').RenderingAudioContext
+var BufferQueueNode = require('..')
+var createBaseline = require('./baseline')
+
+var SAMPLE_RATE = 48000
+var LENGTH = 4096
+// Minimum duration of each measurement in milliseconds
+var DURATION = 100
+// Measurements of each implementation, alternating, of which the best is kept
+var ROUNDS = 10
+// Slowdown relative to the baseline tolerated by --check, as measurements are noisy
+var TOLERANCE = 0.1
+// Comparisons of a layout before it counts as slower than the baseline
+var ATTEMPTS = 3
+
+var check = process.argv.indexOf('--check') !== -1
+var formatIndex = process.argv.indexOf('--format')
+
+var formats = [
+  { name: 'Float32', Format: BufferQueueNode.Float32Array, ArrayType: Float32Array, max: 1 },
+  { name: 'Int8', Format: BufferQueueNode.Int8Array, ArrayType: Int8Array, max: 127 },
+  { name: 'Int16', Format: BufferQueueNode.Int16Array, ArrayType: Int16Array, max: 32767 },
+  { name: 'Int32', Format: BufferQueueNode.Int32Array, ArrayType: Int32Array, max: 2147483647 },
+  { name: 'Uint8', Format: BufferQueueNode.Uint8Array, ArrayType: Uint8Array, max: 127, offset: 128 },
+  { name: 'MuLaw', Format: BufferQueueNode.MuLaw, ArrayType: Uint8Array, max: 127, offset: 128 }
+]
+
+var layouts = [
+  { channels: 1, interleaved: true },
+  { channels: 2, interleaved: true },
+  { channels: 2, interleaved: false },
+  { channels: 6, interleaved: true }
+]
+
+/**
+ * Run a function repeatedly for a while.
+ * @param {Function} fn - The function
+ * @returns {number} Calls per second
+ */
+function measure (fn) {
+  // Warm up
+  for (var i = 0; i < 100; i++) {
+    fn()
+  }
+  var count = 0
+  var start = process.hrtime()
+  var elapsed = 0
+  while (elapsed < DURATION) {
+    for (var j = 0; j < 100; j++) {
+      fn()
+    }
+    count += 100
+    var diff = process.hrtime(start)
+    elapsed = diff[0] * 1e3 + diff[1] / 1e6
+  }
+  return count / elapsed * 1e3
+}
+
+function createSamples (format, channels) {
+  var samples = new format.ArrayType(channels * LENGTH)
+  for (var i = 0; i < samples.length; i++) {
+    var val = Math.sin(i / 10)
+    samples[i] = format.ArrayType === Float32Array ? val : Math.round(val * format.max) + (format.offset || 0)
+  }
+  return samples
+}
+
+/**
+ * Measure two functions alternately, so both suffer from the same noise.
+ * @param {Function} a - The first function
+ * @param {Function} b - The second function
+ * @returns {number[]} Best calls per second of both functions
+ */
+function compare (a, b) {
+  var best = [0, 0]
+  for (var round = 0; round < ROUNDS; round++) {
+    best[0] = Math.max(best[0], measure(a))
+    best[1] = Math.max(best[1], measure(b))
+  }
+  return best
+}
+
+/**
+ * Compare the copies of a format with the baseline, in every layout.
+ * @param {Object} format - One of `formats`
+ * @returns {boolean} Whether the format is at least as fast as the baseline
+ */
+function benchmarkFormat (format) {
+  var context = new RenderingAudioContext({ sampleRate: SAMPLE_RATE })
+  var passed = true
+  layouts.forEach(function (layout) {
+    var channels = layout.channels
+    var samples = createSamples(format, channels)
+    var chunk = new format.Format(channels, layout.interleaved, samples)
+    var baselineChunk = createBaseline(format.Format, channels, layout.interleaved, samples)
+    var to = context.createBuffer(channels, LENGTH, SAMPLE_RATE)
+    var optimized, baseline
+    for (var attempt = 0; attempt < ATTEMPTS; attempt++) {
+      var result = compare(function () {
+        chunk.copyTo(to, 0, 0, LENGTH)
+      }, function () {
+        baselineChunk.copyTo(to, 0, 0, LENGTH)
+      })
+      optimized = result[0]
+      baseline = result[1]
+      if (optimized >= baseline * (1 - TOLERANCE)) {
+        break
+      }
+    }
+    var slower = attempt === ATTEMPTS
+    var name = format.name + ' ' + channels + 'ch ' + (layout.interleaved ? 'interleaved' : 'planar')
+    console.log('  ' + pad(name, 28) + pad(Math.round(optimized), 10) +
+      ' vs ' + pad(Math.round(baseline), 10) + ' baseline (' + (optimized / baseline).toFixed(2) + 'x)' +
+      (slower ? ' slower' : ''))
+    passed = passed && !slower
+  })
+  return passed
+}
+
+function benchmarkCopy () {
+  var failed = []
+  console.log('copyTo of ' + LENGTH + ' sample-frames (copies per second)')
+  formats.forEach(function (format) {
+    // Each format runs in a process of its own, like in an application using a
+    // single format, as the engine optimizes code shared by the formats (in
+    // particular the baseline) for all of those it has seen
+    var child = childProcess.spawnSync(process.execPath, [__filename, '--format', format.name], {
+      stdio: 'inherit'
+    })
+    if (child.status !== 0) {
+      failed.push(format.name)
+    }
+  })
+  return failed
+}
+
+function benchmarkRender () {
+  var seconds = 10
+  console.log('Rendering ' + seconds + ' seconds of stereo audio (times real-time)')
+  formats.forEach(function (format) {
+    var context = new RenderingAudioContext({ sampleRate: SAMPLE_RATE, numberOfChannels: 2 })
+    var node = new BufferQueueNode({
+      audioContext: context,
+      dataType: format.Format,
+      channels: 2,
+      bufferSize: 4096
+    })
+    node.connect(context.destination)
+    var samples = createSamples(format, 2)
+    var bytes = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)
+    for (var i = 0; i < seconds * SAMPLE_RATE / LENGTH; i++) {
+      node.write(bytes)
+    }
+    var start = process.hrtime()
+    context.processTo(seconds)
+    var diff = process.hrtime(start)
+    var elapsed = diff[0] + diff[1] / 1e9
+    console.log('  ' + pad(format.name, 28) + pad((seconds / elapsed).toFixed(1), 10))
+  })
+}
+
+function pad (val, width) {
+  val = String(val)
+  while (val.length < width) {
+    val = ' ' + val
+  }
+  return val
+}
+
+if (formatIndex !== -1) {
+  var name = process.argv[formatIndex + 1]
+  var passed = benchmarkFormat(formats.filter(function (format) {
+    return format.name === name
+  })[0])
+  process.exitCode = passed ? 0 : 1
+} else {
+  var failed = benchmarkCopy()
+  if (!check) {
+    benchmarkRender()
+  }
+  if (failed.length > 0) {
+    console.log('Slower than the baseline: ' + failed.join(', '))
+    if (check) {
+      process.exitCode = 1
+    }
+  }
+}
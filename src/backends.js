@@ -0,0 +1,343 @@
+/* global AudioWorkletNode, Blob, URL */
+import ChannelBuffer from './channel-buffer'
+import { toFrames } from './frames'
+
+/**
+ * Name under which the worklet processor is registered.
+ */
+const PROCESSOR_NAME = 'web-audio-buffer-queue-processor'
+
+/**
+ * Source of the AudioWorklet module used by {@link AudioWorkletBackend}.
+ *
+ * The processor plays blocks of planar sample data posted to its port, each at
+ * the audio context frame it has been rendered for. It outputs silence until a
+ * block is due and skips the frames of blocks arriving too late. Every block
+ * played (or skipped) is reported back. Once told that no more blocks will
+ * follow, it reports `'ended'` after the last block has been played.
+ *
+ * This has to stay plain ES2015+ source (instead of compiled code) because
+ * AudioWorkletProcessor cannot be subclassed by transpiled classes.
+ */
+export const WORKLET_PROCESSOR_SOURCE = `
+class BufferQueueProcessor extends AudioWorkletProcessor {
+  constructor () {
+    super()
+    this._blocks = []
+    this._offset = 0
+    this._queued = 0
+    this._ending = false
+    this.port.onmessage = (e) => {
+      if (e.data.type === 'block') {
+        this._blocks.push(e.data)
+        this._queued += e.data.length
+      } else if (e.data.type === 'end') {
+        this._ending = true
+      }
+    }
+  }
+
+  process (inputs, outputs) {
+    const output = outputs[0]
+    const length = output[0].length
+    let outOffset = 0
+    while (outOffset < length && this._blocks.length > 0) {
+      const block = this._blocks[0]
+      // Offset into the block of the frame being output
+      const position = currentFrame + outOffset - block.frame
+      if (position < 0) {
+        // Silence until the block is due
+        outOffset -= position
+        continue
+      }
+      // Frames which were due before the block arrived are skipped
+      const start = Math.min(position, block.length)
+      const end = Math.min(block.length, start + length - outOffset)
+      for (let channel = 0; channel < output.length; channel++) {
+        const source = block.channelData[channel]
+        output[channel].set(source.subarray(start, end), outOffset)
+      }
+      outOffset += end - start
+      this._queued -= end - this._offset
+      this._offset = end
+      if (end === block.length) {
+        this._blocks.shift()
+        this._offset = 0
+        this.port.postMessage({ type: 'consumed' })
+      }
+    }
+    if (this._ending && this._blocks.length === 0) {
+      this.port.postMessage({ type: 'ended' })
+      return false
+    }
+    return true
+  }
+}
+registerProcessor('${PROCESSOR_NAME}', BufferQueueProcessor)
+`
+
+// Promises of the worklet module having been loaded, per audio context
+const loadedModules = new WeakMap()
+
+/**
+ * Load the worklet module into the specified audio context (once).
+ * @param {AudioContext} audioContext - The audio context
+ * @param {string} [url] - URL of the module, defaults to a blob URL of
+ *    {@link WORKLET_PROCESSOR_SOURCE}
+ * @returns {Promise} Resolved once the module is available
+ */
+function loadModule (audioContext, url) {
+  let promise = loadedModules.get(audioContext)
+  if (!promise) {
+    if (!url) {
+      const blob = new Blob([WORKLET_PROCESSOR_SOURCE], { type: 'application/javascript' })
+      url = URL.createObjectURL(blob)
+    }
+    promise = audioContext.audioWorklet.addModule(url)
+    loadedModules.set(audioContext, promise)
+  }
+  return promise
+}
+
+/**
+ * @interface Backend
+ */
+
+/**
+ * The node which outputs the rendered audio.
+ *
+ * @member {AudioNode} Backend#output
+ */
+
+/**
+ * Release all resources and disconnect the output.
+ *
+ * @function
+ * @name Backend#close
+ */
+
+/**
+ * Callbacks used by a {@link Backend} to drive its owner.
+ *
+ * @typedef {Object} BackendCallbacks
+ * @property {function(AudioBuffer, number): boolean} render - Fill the specified
+ *    buffer, which will be played at the specified audio context time, returns true
+ *    once the stream has ended and no further output will follow
+ * @property {function()} ended - Called once the last output has been played
+ * @property {function(Error)} error - Called when the backend fails
+ */
+
+/**
+ * Backend rendering in the `audioprocess` event of a ScriptProcessorNode.
+ *
+ * @implements Backend
+ */
+export class ScriptProcessorBackend {
+  /**
+   * Create a ScriptProcessorBackend.
+   * @param {AudioContext} audioContext - The audio context
+   * @param {Object} options - Options as passed to {@link BufferQueueNode}
+   * @param {BackendCallbacks} callbacks - Callbacks
+   */
+  constructor (audioContext, options, callbacks) {
+    // Create a script processor node that will inject our samples
+    var processorNode = audioContext.createScriptProcessor(options.bufferSize, 0, options.channels)
+    // Create a buffer source that will power the script processor
+    // Note: This isn't strictly required, however some browsers are buggy
+    var inputNode = audioContext.createBufferSource()
+    // That source should be looping over a short, silent buffer
+    inputNode.loop = true
+
+    var shutDown = false
+    processorNode.addEventListener('audioprocess', (e) => {
+      if (shutDown) {
+        // Already shut down
+        return
+      }
+      if (callbacks.render(e.outputBuffer, e.playbackTime)) {
+        shutDown = true
+        callbacks.ended()
+      }
+    })
+    // Connect the input node to the script processor
+    // inputNode.connect(processorNode)
+    // inputNode.start()
+
+    this.output = processorNode
+  }
+
+  close () {
+    this.output.disconnect()
+  }
+}
+
+/**
+ * Backend rendering on the main thread ahead of time and handing the
+ * rendered blocks to an AudioWorklet for playback.
+ *
+ * Enough blocks to cover the `renderAhead` option are kept in flight, so the
+ * main thread may be busy for up to that long without the output glitching.
+ * A longer render-ahead tolerates longer stalls, but delays the effect of
+ * anything changing the rendered output (such as pausing) by as much.
+ *
+ * Every block is rendered for the audio context frame the processor plays it
+ * at, which follows the previous block. Playback starts a block after the
+ * current time, leaving time to hand the block over. If the main thread falls
+ * behind the processor (after a stall), it starts over the same way, so the
+ * time passed to the render callback never decreases and is never in the past.
+ *
+ * @implements Backend
+ */
+export class AudioWorkletBackend {
+  /**
+   * Create an AudioWorkletBackend.
+   * @param {AudioContext} audioContext - The audio context
+   * @param {Object} options - Options as passed to {@link BufferQueueNode}
+   * @param {BackendCallbacks} callbacks - Callbacks
+   */
+  constructor (audioContext, options, callbacks) {
+    this._channels = options.channels
+    this._bufferSize = options.bufferSize || 1024
+    this._sampleRate = audioContext.sampleRate
+    // Amount of blocks kept in flight, at least one
+    const renderAhead = toFrames(options.renderAhead, this._sampleRate)
+    this._blocksInFlight = Math.max(1, Math.ceil(renderAhead / this._bufferSize))
+    this._audioContext = audioContext
+    this._callbacks = callbacks
+    this._workletNode = null
+    // Audio context frame at which the next rendered block will be played
+    this._nextFrame = 0
+    this._ended = false
+    this._closed = false
+
+    // The worklet node can only be created once its module has been loaded,
+    // so connections are made to an intermediate node instead
+    this.output = audioContext.createGain()
+
+    loadModule(audioContext, options.workletModuleUrl).then(() => {
+      if (this._closed) {
+        return
+      }
+      const workletNode = this._workletNode = new AudioWorkletNode(audioContext, PROCESSOR_NAME, {
+        numberOfInputs: 0,
+        numberOfOutputs: 1,
+        outputChannelCount: [this._channels]
+      })
+      workletNode.port.onmessage = (e) => {
+        if (e.data.type === 'consumed') {
+          this._renderBlock()
+        } else if (e.data.type === 'ended') {
+          callbacks.ended()
+        }
+      }
+      workletNode.connect(this.output)
+      for (let i = 0; i < this._blocksInFlight; i++) {
+        this._renderBlock()
+      }
+    }).catch((err) => callbacks.error(err))
+  }
+
+  /**
+   * Render the next block and post it to the worklet.
+   */
+  _renderBlock () {
+    if (this._ended || this._closed) {
+      return
+    }
+    const currentFrame = Math.round(this._audioContext.currentTime * this._sampleRate)
+    if (this._nextFrame <= currentFrame) {
+      this._nextFrame = currentFrame + this._bufferSize
+    }
+    const block = new ChannelBuffer(this._channels, this._bufferSize)
+    const frame = this._nextFrame
+    this._ended = this._callbacks.render(block, frame / this._sampleRate)
+    this._nextFrame += block.length
+    const channelData = []
+    for (let channel = 0; channel < this._channels; channel++) {
+      channelData.push(block.getChannelData(channel))
+    }
+    this._workletNode.port.postMessage({
+      type: 'block',
+      frame: frame,
+      length: block.length,
+      channelData: channelData
+    }, channelData.map((data) => data.buffer))
+    if (this._ended) {
+      this._workletNode.port.postMessage({ type: 'end' })
+    }
+  }
+
+  close () {
+    this._closed = true
+    if (this._workletNode) {
+      this._workletNode.port.onmessage = null
+      this._workletNode.disconnect()
+    }
+    this.output.disconnect()
+  }
+}
+
+/**
+ * Backend of a track, which has no audio node of its own but is rendered by
+ * the BufferQueueNode mixing it (see {@link BufferQueueNode#createTrack}).
+ *
+ * @implements Backend
+ */
+export class TrackBackend {
+  /**
+   * Create a TrackBackend.
+   * @param {BackendCallbacks} callbacks - Callbacks
+   */
+  constructor (callbacks) {
+    this.output = null
+    this._callbacks = callbacks
+    this._ended = false
+  }
+
+  /**
+   * Render the next block of the track.
+   * @param {AudioBuffer} out - The buffer to fill
+   * @param {number} playbackTime - Audio context time at which the buffer will be played
+   * @returns {boolean} Whether the track has ended
+   */
+  render (out, playbackTime) {
+    if (!this._ended && this._callbacks.render(out, playbackTime)) {
+      this.end()
+    }
+    return this._ended
+  }
+
+  /**
+   * End the track without rendering any more blocks.
+   */
+  end () {
+    if (!this._ended) {
+      this._ended = true
+      this._callbacks.ended()
+    }
+  }
+
+  close () {}
+}
+
+/**
+ * Create the backend selected by `options.backend`.
+ * @param {AudioContext} audioContext - The audio context
+ * @param {Object} options - Options as passed to {@link BufferQueueNode}
+ * @param {BackendCallbacks} callbacks - Callbacks
+ * @returns {Backend} The backend
+ */
+export function createBackend (audioContext, options, callbacks) {
+  let backend = options.backend
+  if (backend === 'auto') {
+    backend = audioContext.audioWorklet ? 'audioWorklet' : 'scriptProcessor'
+  }
+  if (backend === 'audioWorklet') {
+    return new AudioWorkletBackend(audioContext, options, callbacks)
+  } else if (backend === 'scriptProcessor') {
+    return new ScriptProcessorBackend(audioContext, options, callbacks)
+  } else if (backend === 'track') {
+    return new TrackBackend(callbacks)
+  }
+  throw new Error('Unsupported backend: ' + backend)
+}
@@ -0,0 +1,156 @@
+import globalAudioContext from 'audio-context'
+import extend from 'extend'
+import { Readable } from 'stream'
+import * as formats from './formats'
+import { toFrames } from './frames'
+
+/**
+ * A destination node that streams the audio connected to it as PCM buffers.
+ *
+ * This is the counterpart of {@link BufferQueueNode}: Other nodes are connected
+ * to its `input` and the audio they produce is emitted as chunks of the
+ * specified format, using the same format classes. Supported are
+ * {@link BufferQueueNode#Float32Array}, {@link BufferQueueNode#Int16Array} (and
+ * the other integer formats, including their little- and big-endian variants),
+ * interleaved or planar, and {@link BufferQueueNode#AudioBuffer} in object mode.
+ * When not in object mode, the raw bytes of the samples are emitted.
+ *
+ * Audio is captured in blocks of `bufferSize` sample-frames by a
+ * ScriptProcessorNode. Captured blocks are only pushed while the consumer keeps
+ * up with reading. Otherwise they are held back until it reads again, and if
+ * more than `maxBuffered` audio has been held back, the oldest blocks are
+ * dropped and an `'overflow'` event is emitted with the amount of `frames`
+ * dropped.
+ *
+ * Capturing continues until {@link BufferCaptureNode#stop} is called, after
+ * which the stream ends once all held back blocks have been read.
+ *
+ * @extends Readable
+ */
+class BufferCaptureNode extends Readable {
+  /**
+   * Create a BufferCaptureNode.
+   * @param {Object} [options] - Options passed to the Readable constructor.
+   * @param {AudioBufferFormat} [options.dataType=BufferQueueNode.Float32Array] -
+   *    Format of the output data (AudioBuffer requires object mode).
+   * @param {boolean} [options.interleaved=true] - Whether the output data is interleaved
+   * @param {number} [options.channels=1] - Number of channels, the input is up- or
+   *    down-mixed to this amount of channels
+   * @param {number} [options.bufferSize=0] - Buffer size, must be a power of two
+   *    between 256 and 16284. May also be 0 in which case the implementation will
+   *    pick a good value (recommanded).
+   * @param {number|Object} [options.maxBuffered=Infinity] - Amount of captured audio
+   *    held back while the consumer is not reading, above which the oldest audio is
+   *    dropped. Either in seconds or as `{ frames: n }` (in sample-frames).
+   * @param {AudioContext} [options.audioContext=require('audio-context')()] - The audio context
+   */
+  constructor (options) {
+    super(options)
+
+    options = extend({
+      dataType: formats.Float32ArrayBuffer,
+      objectMode: false,
+      interleaved: true,
+      channels: 1,
+      bufferSize: 0,
+      maxBuffered: Infinity
+    }, options)
+    if (!options.audioContext) {
+      options.audioContext = globalAudioContext()
+    }
+    const dataType = this._dataType = options.dataType
+    if (typeof dataType.encode !== 'function') {
+      throw new Error('Format does not implement encode(from, interleaved): ' + dataType)
+    }
+    this._objectMode = options.objectMode
+    if (!this._objectMode && typeof dataType.toBytes !== 'function') {
+      throw new Error('Format can only be captured in object mode: ' + dataType)
+    }
+    this._interleaved = options.interleaved
+    const audioContext = this._audioContext = options.audioContext
+    this._maxBuffered = toFrames(options.maxBuffered, audioContext.sampleRate)
+
+    // Captured blocks held back until the consumer reads again
+    this._pending = []
+    // Amount of sample-frames in the held back blocks
+    this._pendingFrames = 0
+    // Whether the consumer is ready to receive more data
+    this._reading = true
+    // Whether capturing has been stopped
+    this._stopped = false
+
+    // Create a script processor node that will receive the input
+    // Note: Its output has to be connected for it to be processed, but stays silent
+    const processorNode = audioContext.createScriptProcessor(options.bufferSize, options.channels, 1)
+    processorNode.addEventListener('audioprocess', (e) => {
+      if (!this._stopped) {
+        this._capture(e.inputBuffer)
+      }
+    })
+    processorNode.connect(audioContext.destination)
+
+    /**
+     * The node to connect sources to.
+     * @type {AudioNode}
+     */
+    this.input = processorNode
+  }
+
+  /**
+   * Stop capturing. The stream ends once all captured data has been read.
+   */
+  stop () {
+    if (this._stopped) {
+      return
+    }
+    this._stopped = true
+    this.input.disconnect()
+    this._flush()
+  }
+
+  /**
+   * Encode a captured block and push it (or hold it back).
+   * @param {AudioBuffer} inputBuffer - The captured audio, reused afterwards
+   */
+  _capture (inputBuffer) {
+    const data = this._dataType.encode(inputBuffer, this._interleaved, this._audioContext)
+    this._pending.push({
+      chunk: this._objectMode ? data : this._dataType.toBytes(data),
+      length: inputBuffer.length
+    })
+    this._pendingFrames += inputBuffer.length
+    // Drop the oldest blocks if the consumer is lagging too far behind
+    let dropped = 0
+    while (this._pendingFrames > this._maxBuffered) {
+      const block = this._pending.shift()
+      this._pendingFrames -= block.length
+      dropped += block.length
+    }
+    if (dropped > 0) {
+      process.nextTick(() => this.emit('overflow', { frames: dropped }))
+    }
+    this._flush()
+  }
+
+  /**
+   * Push held back blocks while the consumer is reading and end the stream
+   * once stopped and all blocks have been pushed.
+   */
+  _flush () {
+    while (this._reading && this._pending.length > 0) {
+      const block = this._pending.shift()
+      this._pendingFrames -= block.length
+      this._reading = this.push(block.chunk)
+    }
+    if (this._stopped && this._pending.length === 0) {
+      this.push(null)
+    }
+  }
+
+  _read () {
+    this._reading = true
+    this._flush()
+  }
+}
+
+export default BufferCaptureNode
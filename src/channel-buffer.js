@@ -0,0 +1,32 @@
+/**
+ * A minimal, planar AudioBuffer look-alike backed by Float32Arrays.
+ *
+ * Implements just enough of the AudioBuffer interface (`length`,
+ * `numberOfChannels`, `getChannelData` and `copyToChannel`) for it to be used
+ * as target of {@link AudioBufferFormat#copyTo}.
+ */
+class ChannelBuffer {
+  /**
+   * Create a ChannelBuffer.
+   * @param {number} numberOfChannels - Number of channels
+   * @param {number} length - Length in sample-frames
+   */
+  constructor (numberOfChannels, length) {
+    this._channelData = []
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      this._channelData.push(new Float32Array(length))
+    }
+    this.length = length
+    this.numberOfChannels = numberOfChannels
+  }
+
+  getChannelData (channel) {
+    return this._channelData[channel]
+  }
+
+  copyToChannel (source, channel, offset) {
+    this._channelData[channel].set(source, offset || 0)
+  }
+}
+
+export default ChannelBuffer
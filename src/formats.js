@@ -0,0 +1,862 @@
+/**
+ * @interface AudioBufferFormat
+ */
+
+/**
+ * Create a buffer of this format.
+ *
+ * @function
+ * @name AudioBufferFormat#constructor
+ * @param {number} channels - Number of channels
+ * @param {boolean} interleaved - Whether the data is interleaved
+ * @param {*} it - The data
+ */
+
+/**
+ * Length of this buffer in sample-frames.
+ *
+ * @member {number} AudioBufferFormat#length
+ */
+
+/**
+ * Number of channels in this buffer. If this differs from the number of
+ * channels of the target, {@link AudioBufferFormat#copyTo} is passed a target
+ * with this amount of channels instead and the data is mixed afterwards.
+ * Optional, defaults to the number of channels passed to the constructor.
+ *
+ * @member {number} AudioBufferFormat#numberOfChannels
+ */
+
+/**
+ * Copy samples from this buffer to the target AudioBuffer.
+ *
+ * @function
+ * @name AudioBufferFormat#copyTo
+ * @param {AudioBuffer} to - The target audio buffer
+ * @param {number} toOffset - Offset into the target audio buffer
+ * @param {number} fromOffset - Offset into this buffer
+ * @param {number} length - Amount of sample-frames to copy
+ */
+
+/**
+ * Create data of this format from the samples of an AudioBuffer.
+ * Only required for formats used by {@link BufferCaptureNode}.
+ *
+ * @function
+ * @name AudioBufferFormat.encode
+ * @param {AudioBuffer} from - The source audio buffer
+ * @param {boolean} interleaved - Whether the data should be interleaved
+ * @param {AudioContext} audioContext - The audio context of the source
+ * @returns {*} The data
+ */
+
+/**
+ * Convert data created by {@link AudioBufferFormat.encode} to raw bytes.
+ * Only required for formats used by {@link BufferCaptureNode} when not in
+ * object mode.
+ *
+ * @function
+ * @name AudioBufferFormat.toBytes
+ * @param {*} data - The data
+ * @returns {Buffer} The bytes
+ */
+
+/**
+ * Link this buffer to the buffer queued before it, for formats which carry
+ * state (such as a decoder's) from one chunk of a stream to the next.
+ * Optional, called when the buffer is queued.
+ *
+ * @function
+ * @name AudioBufferFormat#continueFrom
+ * @param {?AudioBufferFormat} previous - The previously queued buffer, if any
+ */
+
+/**
+ * Check whether a chunk written in object mode is of this format.
+ * Only required for formats passed to {@link registerFormat}.
+ *
+ * @function
+ * @name AudioBufferFormat.accepts
+ * @param {*} chunk - The chunk
+ * @returns {boolean} Whether the chunk can be wrapped by this format
+ */
+
+// Whether typed arrays on this platform are little-endian
+const NATIVE_LITTLE_ENDIAN = new Uint8Array(Uint16Array.of(1).buffer)[0] === 1
+
+/** @implements AudioBufferFormat */
+export class AudioBufferBuffer {
+  constructor (channels, interleaved, it) {
+    this._it = it
+  }
+
+  static accepts (chunk) {
+    return !!chunk && typeof chunk.getChannelData === 'function'
+  }
+
+  static encode (from, interleaved, audioContext) {
+    const buffer = audioContext.createBuffer(from.numberOfChannels, from.length, from.sampleRate)
+    for (let channel = 0; channel < from.numberOfChannels; channel++) {
+      buffer.copyToChannel(from.getChannelData(channel), channel, 0)
+    }
+    return buffer
+  }
+
+  get length () {
+    return this._it.length
+  }
+
+  get numberOfChannels () {
+    return this._it.numberOfChannels
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    for (let channel = 0; channel < this._it.numberOfChannels; channel++) {
+      const source = this._it.getChannelData(channel)
+      to.copyToChannel(source.subarray(fromOffset, fromOffset + length), channel, toOffset)
+    }
+  }
+}
+
+/**
+ * Base class of formats backed by a typed array.
+ *
+ * Subclasses specify the typed array holding the samples in `ArrayType` and
+ * may accept raw bytes (a `Buffer`) which are decoded (and encoded) using the
+ * DataView methods named `getter` (and `setter`) in the byte order given by
+ * `littleEndian` (or the platform's byte order if unset).
+ */
+class TypedArrayBuffer {
+  constructor (channels, interleaved, it) {
+    const format = this.constructor
+    if (it instanceof Buffer && format.ArrayType !== Uint8Array) {
+      it = format.fromBytes(it)
+    } else if (!(it instanceof format.ArrayType)) {
+      throw new Error('Unsupported buffer type: ' + it)
+    }
+    this._channels = channels
+    this._interleaved = interleaved
+    this._it = it
+  }
+
+  static accepts (chunk) {
+    return chunk instanceof this.ArrayType
+  }
+
+  /**
+   * Size of a single sample in bytes when passed as raw bytes.
+   * @type {number}
+   */
+  static get bytesPerSample () {
+    return this.ArrayType.BYTES_PER_ELEMENT
+  }
+
+  /**
+   * Decode raw bytes into samples.
+   * @param {Buffer} bytes - The bytes
+   * @returns {TypedArray} The samples
+   */
+  static fromBytes (bytes) {
+    const ArrayType = this.ArrayType
+    const bytesPerSample = ArrayType.BYTES_PER_ELEMENT
+    const length = Math.floor(bytes.byteLength / bytesPerSample)
+    const littleEndian = this.littleEndian == null ? NATIVE_LITTLE_ENDIAN : this.littleEndian
+    if (littleEndian === NATIVE_LITTLE_ENDIAN && bytes.byteOffset % bytesPerSample === 0) {
+      // Samples can be used as they are
+      return new ArrayType(bytes.buffer, bytes.byteOffset, length)
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const samples = new ArrayType(length)
+    for (let i = 0; i < length; i++) {
+      samples[i] = view[this.getter](i * bytesPerSample, littleEndian)
+    }
+    return samples
+  }
+
+  /**
+   * Convert a sample from a float in the range of -1 to 1.
+   * @param {number} val - The sample
+   * @returns {number} The converted sample
+   */
+  static fromFloat (val) {
+    return val
+  }
+
+  static encode (from, interleaved) {
+    const channels = from.numberOfChannels
+    const length = from.length
+    const samples = new this.ArrayType(channels * length)
+    for (let channel = 0; channel < channels; channel++) {
+      const data = from.getChannelData(channel)
+      // Interleaved samples are spread out, planar ones follow each other
+      const stride = interleaved ? channels : 1
+      const offset = interleaved ? channel : channel * length
+      for (let i = 0; i < length; i++) {
+        samples[offset + i * stride] = this.fromFloat(data[i])
+      }
+    }
+    return samples
+  }
+
+  static toBytes (samples) {
+    const littleEndian = this.littleEndian == null ? NATIVE_LITTLE_ENDIAN : this.littleEndian
+    if (littleEndian === NATIVE_LITTLE_ENDIAN) {
+      // Samples can be used as they are
+      return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)
+    }
+    const bytesPerSample = this.ArrayType.BYTES_PER_ELEMENT
+    const bytes = Buffer.alloc(samples.length * bytesPerSample)
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    for (let i = 0; i < samples.length; i++) {
+      view[this.setter](i * bytesPerSample, samples[i], littleEndian)
+    }
+    return bytes
+  }
+
+  get length () {
+    return this._it.length / this._channels
+  }
+
+  get numberOfChannels () {
+    return this._channels
+  }
+
+  /**
+   * Conversion applied to the samples when copying them: `'none'` for float
+   * samples, `'scale'` for integer samples with the format's `bits` (less its
+   * `sampleOffset`, if any) and `'table'` for samples looked up in the format's
+   * `table`.
+   * @type {string}
+   */
+  static get conversion () {
+    return 'none'
+  }
+
+  /**
+   * Kernels copying samples of this format, created once per format.
+   * @type {CopyKernels}
+   */
+  static get kernels () {
+    if (!Object.prototype.hasOwnProperty.call(this, '_kernels')) {
+      this._kernels = createKernels(this)
+    }
+    return this._kernels
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    const kernels = this.constructor.kernels
+    const channels = this._channels
+    if (!this._interleaved || channels === 1) {
+      // The samples of every channel follow each other
+      for (let channel = 0; channel < channels; channel++) {
+        const actualFromOffset = this.length * channel + fromOffset
+        kernels.channel(this, to.getChannelData(channel), toOffset, actualFromOffset, 1, length)
+      }
+    } else if (channels === 2) {
+      // Most interleaved data is stereo, which gets a kernel of its own
+      kernels.stereo(this, to.getChannelData(0), to.getChannelData(1), toOffset, fromOffset * 2, length)
+    } else {
+      for (let channel = 0; channel < channels; channel++) {
+        const actualFromOffset = fromOffset * channels + channel
+        kernels.channel(this, to.getChannelData(channel), toOffset, actualFromOffset, channels, length)
+      }
+    }
+  }
+}
+
+/**
+ * Functions copying samples of a {@link TypedArrayBuffer} to Float32Arrays.
+ *
+ * @typedef {Object} CopyKernels
+ * @property {Function} channel - `(chunk, to, toOffset, fromOffset, stride, length)`
+ *    copies the samples of one channel, `stride` apart in the chunk
+ * @property {Function} stereo - `(chunk, left, right, toOffset, fromOffset, length)`
+ *    copies the samples of two interleaved channels
+ */
+
+/**
+ * Create the kernels for a format.
+ *
+ * Every format gets kernels of its own, with the constants of its conversion
+ * fixed when they are created.
+ * @param {Function} format - The format, see {@link TypedArrayBuffer.conversion}
+ * @returns {CopyKernels} The kernels
+ */
+function createKernels (format) {
+  const conversion = format.conversion
+  if (conversion === 'table') {
+    const table = format.table
+    return {
+      channel (chunk, to, toOffset, fromOffset, stride, length) {
+        const it = chunk._it
+        for (let i = 0, j = fromOffset; i < length; i++, j += stride) {
+          to[toOffset + i] = table[it[j]]
+        }
+      },
+      stereo (chunk, left, right, toOffset, fromOffset, length) {
+        const it = chunk._it
+        for (let i = 0, j = fromOffset; i < length; i++, j += 2) {
+          left[toOffset + i] = table[it[j]]
+          right[toOffset + i] = table[it[j + 1]]
+        }
+      }
+    }
+  }
+  if (conversion === 'scale') {
+    // Multiplying by the reciprocals yields the same float samples as dividing
+    const sampleOffset = format.sampleOffset || 0
+    const negativeScale = 1 / Math.pow(2, format.bits - 1)
+    const positiveScale = 1 / (Math.pow(2, format.bits - 1) - 1)
+    return {
+      channel (chunk, to, toOffset, fromOffset, stride, length) {
+        // Local copies are faster to access in the loop
+        const it = chunk._it
+        const offset = sampleOffset
+        const negativeFactor = negativeScale
+        const positiveFactor = positiveScale
+        for (let i = 0, j = fromOffset; i < length; i++, j += stride) {
+          const val = it[j] - offset
+          to[toOffset + i] = val * (val > 0 ? positiveFactor : negativeFactor)
+        }
+      },
+      stereo (chunk, left, right, toOffset, fromOffset, length) {
+        const it = chunk._it
+        const offset = sampleOffset
+        const negativeFactor = negativeScale
+        const positiveFactor = positiveScale
+        for (let i = 0, j = fromOffset; i < length; i++, j += 2) {
+          const l = it[j] - offset
+          const r = it[j + 1] - offset
+          left[toOffset + i] = l * (l > 0 ? positiveFactor : negativeFactor)
+          right[toOffset + i] = r * (r > 0 ? positiveFactor : negativeFactor)
+        }
+      }
+    }
+  }
+  return {
+    channel (chunk, to, toOffset, fromOffset, stride, length) {
+      const it = chunk._it
+      if (stride === 1) {
+        to.set(it.subarray(fromOffset, fromOffset + length), toOffset)
+        return
+      }
+      for (let i = 0, j = fromOffset; i < length; i++, j += stride) {
+        to[toOffset + i] = it[j]
+      }
+    },
+    stereo (chunk, left, right, toOffset, fromOffset, length) {
+      const it = chunk._it
+      for (let i = 0, j = fromOffset; i < length; i++, j += 2) {
+        left[toOffset + i] = it[j]
+        right[toOffset + i] = it[j + 1]
+      }
+    }
+  }
+}
+
+/**
+ * Base class of formats with signed integer samples.
+ *
+ * Samples are scaled by the magnitude of the most negative value for
+ * negative samples and by the most positive value for positive ones,
+ * so both extremes map exactly to -1 and 1 respectively.
+ */
+class IntArrayBuffer extends TypedArrayBuffer {
+  static get conversion () {
+    return 'scale'
+  }
+
+  /** @see TypedArrayBuffer.fromFloat */
+  static fromFloat (val) {
+    const scale = Math.pow(2, this.bits - 1)
+    if (val < 0) {
+      return Math.round(Math.max(val, -1) * scale)
+    }
+    return Math.round(Math.min(val, 1) * (scale - 1))
+  }
+}
+
+/** @implements AudioBufferFormat */
+export class Float32ArrayBuffer extends TypedArrayBuffer {}
+Float32ArrayBuffer.ArrayType = Float32Array
+Float32ArrayBuffer.getter = 'getFloat32'
+Float32ArrayBuffer.setter = 'setFloat32'
+
+/** @implements AudioBufferFormat */
+export class Float64ArrayBuffer extends TypedArrayBuffer {}
+Float64ArrayBuffer.ArrayType = Float64Array
+Float64ArrayBuffer.getter = 'getFloat64'
+Float64ArrayBuffer.setter = 'setFloat64'
+
+/** @implements AudioBufferFormat */
+export class Int8ArrayBuffer extends IntArrayBuffer {}
+Int8ArrayBuffer.ArrayType = Int8Array
+Int8ArrayBuffer.getter = 'getInt8'
+Int8ArrayBuffer.setter = 'setInt8'
+Int8ArrayBuffer.bits = 8
+
+/** @implements AudioBufferFormat */
+export class Int16ArrayBuffer extends IntArrayBuffer {}
+Int16ArrayBuffer.ArrayType = Int16Array
+Int16ArrayBuffer.getter = 'getInt16'
+Int16ArrayBuffer.setter = 'setInt16'
+Int16ArrayBuffer.bits = 16
+
+/** @implements AudioBufferFormat */
+export class Int32ArrayBuffer extends IntArrayBuffer {}
+Int32ArrayBuffer.ArrayType = Int32Array
+Int32ArrayBuffer.getter = 'getInt32'
+Int32ArrayBuffer.setter = 'setInt32'
+Int32ArrayBuffer.bits = 32
+
+/**
+ * Packed 24-bit signed integer samples (three bytes per sample).
+ *
+ * Accepts raw bytes (little-endian unless specified otherwise) or an
+ * Int32Array of already unpacked samples.
+ *
+ * @implements AudioBufferFormat
+ */
+export class Int24ArrayBuffer extends IntArrayBuffer {
+  static get bytesPerSample () {
+    return 3
+  }
+
+  static fromBytes (bytes) {
+    const littleEndian = this.littleEndian !== false
+    const length = Math.floor(bytes.byteLength / 3)
+    const samples = new Int32Array(length)
+    for (let i = 0; i < length; i++) {
+      const low = bytes[littleEndian ? i * 3 : i * 3 + 2]
+      const mid = bytes[i * 3 + 1]
+      const high = bytes[littleEndian ? i * 3 + 2 : i * 3]
+      // Shift into the upper bits and back down to sign-extend
+      samples[i] = ((high << 24) | (mid << 16) | (low << 8)) >> 8
+    }
+    return samples
+  }
+
+  static toBytes (samples) {
+    const littleEndian = this.littleEndian !== false
+    const bytes = Buffer.alloc(samples.length * 3)
+    for (let i = 0; i < samples.length; i++) {
+      const val = samples[i]
+      bytes[littleEndian ? i * 3 : i * 3 + 2] = val & 0xff
+      bytes[i * 3 + 1] = (val >> 8) & 0xff
+      bytes[littleEndian ? i * 3 + 2 : i * 3] = (val >> 16) & 0xff
+    }
+    return bytes
+  }
+}
+Int24ArrayBuffer.ArrayType = Int32Array
+Int24ArrayBuffer.bits = 24
+
+/**
+ * Unsigned 8-bit samples with an offset of 128.
+ *
+ * @implements AudioBufferFormat
+ */
+export class Uint8ArrayBuffer extends TypedArrayBuffer {
+  // Scaled like signed 8-bit samples once the offset has been removed
+  static get conversion () {
+    return 'scale'
+  }
+
+  /** @see TypedArrayBuffer.fromFloat */
+  static fromFloat (val) {
+    if (val < 0) {
+      return Math.round(Math.max(val, -1) * 128) + 128
+    }
+    return Math.round(Math.min(val, 1) * 127) + 128
+  }
+}
+Uint8ArrayBuffer.ArrayType = Uint8Array
+Uint8ArrayBuffer.bits = 8
+Uint8ArrayBuffer.sampleOffset = 128
+
+/**
+ * Decode a G.711 μ-law sample.
+ * @param {number} val - The encoded byte
+ * @returns {number} The 16-bit linear sample
+ */
+function decodeMuLaw (val) {
+  val = ~val & 0xff
+  const exponent = (val >> 4) & 0x07
+  const sample = ((((val & 0x0f) << 3) + 0x84) << exponent) - 0x84
+  return val & 0x80 ? -sample : sample
+}
+
+/**
+ * Decode a G.711 A-law sample.
+ * @param {number} val - The encoded byte
+ * @returns {number} The 16-bit linear sample
+ */
+function decodeALaw (val) {
+  val ^= 0x55
+  const exponent = (val >> 4) & 0x07
+  const mantissa = val & 0x0f
+  const sample = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1)
+  // Unlike with μ-law, the sign bit is set for positive samples
+  return val & 0x80 ? sample : -sample
+}
+
+/**
+ * Return the segment (exponent) of a G.711 sample, the position of its
+ * highest set bit above bit 7.
+ * @param {number} sample - Non-negative sample
+ * @returns {number} The segment between 0 and 7
+ */
+function getSegment (sample) {
+  let segment = 7
+  while (segment > 0 && (sample & (0x80 << segment)) === 0) {
+    segment--
+  }
+  return segment
+}
+
+/**
+ * Encode a 16-bit linear sample with G.711 μ-law.
+ * @param {number} sample - The sample
+ * @returns {number} The encoded byte
+ */
+function encodeMuLaw (sample) {
+  const sign = sample < 0 ? 0x80 : 0
+  sample = Math.min(Math.abs(sample), 32635) + 0x84
+  const segment = getSegment(sample)
+  return ~(sign | (segment << 4) | ((sample >> (segment + 3)) & 0x0f)) & 0xff
+}
+
+/**
+ * Encode a 16-bit linear sample with G.711 A-law.
+ * @param {number} sample - The sample
+ * @returns {number} The encoded byte
+ */
+function encodeALaw (sample) {
+  const sign = sample < 0 ? 0 : 0x80
+  sample = Math.min(sample < 0 ? -sample - 1 : sample, 32767)
+  const segment = getSegment(sample)
+  const mantissa = (sample >> (segment === 0 ? 4 : segment + 3)) & 0x0f
+  return (sign | (segment << 4) | mantissa) ^ 0x55
+}
+
+/**
+ * Create the table of decoded samples (scaled to floats) for all 256 bytes.
+ * @param {function(number): number} decode - The decoder
+ * @returns {Float32Array} The table
+ */
+function createDecodeTable (decode) {
+  const table = new Float32Array(256)
+  for (let i = 0; i < 256; i++) {
+    table[i] = decode(i) / 32768
+  }
+  return table
+}
+
+const MU_LAW_TABLE = createDecodeTable(decodeMuLaw)
+const A_LAW_TABLE = createDecodeTable(decodeALaw)
+
+/**
+ * Base class of the G.711 companded formats, one byte per sample which is
+ * decoded via a lookup table.
+ */
+class CompandedBuffer extends TypedArrayBuffer {
+  static get conversion () {
+    return 'table'
+  }
+
+  /** @see TypedArrayBuffer.fromFloat */
+  static fromFloat (val) {
+    return this.encodeSample(Math.round(Math.max(-1, Math.min(1, val)) * 32767))
+  }
+}
+
+/**
+ * G.711 μ-law samples (one byte per sample).
+ *
+ * @implements AudioBufferFormat
+ */
+export class MuLawBuffer extends CompandedBuffer {}
+MuLawBuffer.ArrayType = Uint8Array
+MuLawBuffer.table = MU_LAW_TABLE
+MuLawBuffer.encodeSample = encodeMuLaw
+
+/**
+ * G.711 A-law samples (one byte per sample).
+ *
+ * @implements AudioBufferFormat
+ */
+export class ALawBuffer extends CompandedBuffer {}
+ALawBuffer.ArrayType = Uint8Array
+ALawBuffer.table = A_LAW_TABLE
+ALawBuffer.encodeSample = encodeALaw
+
+// Step index adjustment of IMA ADPCM by (the magnitude bits of) a nibble
+const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8]
+// Quantizer step sizes of IMA ADPCM
+const IMA_STEP_TABLE = [
+  7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+  50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230,
+  253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963,
+  1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024, 3327,
+  3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487,
+  12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767
+]
+
+/**
+ * IMA ADPCM data, four bits per sample (low nibble first) without block headers.
+ *
+ * Interleaved data alternates between channels with every sample. The decoder
+ * state of each channel starts at zero and carries over from the previous chunk
+ * of the same format written to the node, even if that chunk has been discarded
+ * (e.g. by clearing the queue). Samples are decoded on the fly, so copies may be split
+ * arbitrarily (skipped samples are still decoded to keep the state correct).
+ *
+ * @implements AudioBufferFormat
+ */
+export class ImaAdpcmBuffer {
+  constructor (channels, interleaved, it) {
+    if (!(it instanceof Uint8Array)) {
+      throw new Error('Unsupported buffer type: ' + it)
+    }
+    this._channels = channels
+    this._interleaved = interleaved
+    this._it = it
+    // Buffer preceding this one, until its final decoder state has been taken
+    this._previous = null
+    // Decoder state (predictor and step index per channel) at the start and the current position
+    this._initialState = null
+    this._state = null
+    // Offset of the next sample-frame to be decoded
+    this._position = 0
+  }
+
+  get length () {
+    return Math.floor(this._it.length * 2 / this._channels)
+  }
+
+  get numberOfChannels () {
+    return this._channels
+  }
+
+  continueFrom (previous) {
+    this._previous = previous instanceof ImaAdpcmBuffer ? previous : null
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    this._seek(fromOffset)
+    this._decode(to, toOffset, length)
+  }
+
+  /**
+   * Return the decoder state after the last sample-frame.
+   * @returns {Object} Predictors and step indices per channel
+   */
+  _getFinalState () {
+    this._seek(this.length)
+    return {
+      predictors: this._state.predictors.slice(),
+      indices: this._state.indices.slice()
+    }
+  }
+
+  /**
+   * Bring the decoder state to the specified offset.
+   * @param {number} offset - Offset of the next sample-frame to decode
+   */
+  _seek (offset) {
+    if (!this._initialState) {
+      this._initialState = this._previous ? this._previous._getFinalState() : {
+        predictors: new Array(this._channels).fill(0),
+        indices: new Array(this._channels).fill(0)
+      }
+      this._previous = null
+    }
+    if (!this._state || offset < this._position) {
+      // Decode again from the start
+      this._state = {
+        predictors: this._initialState.predictors.slice(),
+        indices: this._initialState.indices.slice()
+      }
+      this._position = 0
+    }
+    if (offset > this._position) {
+      this._decode(null, 0, offset - this._position)
+    }
+  }
+
+  /**
+   * Decode sample-frames from the current position.
+   * @param {?AudioBuffer} to - The target buffer, or null to only advance the state
+   * @param {number} toOffset - Offset into the target buffer
+   * @param {number} length - Amount of sample-frames to decode
+   */
+  _decode (to, toOffset, length) {
+    const channels = this._channels
+    const it = this._it
+    const state = this._state
+    for (let channel = 0; channel < channels; channel++) {
+      const target = to && to.getChannelData(channel)
+      // Interleaved samples are spread out, planar ones follow each other
+      const stride = this._interleaved ? channels : 1
+      const start = this._interleaved ? channel : channel * this.length
+      let predictor = state.predictors[channel]
+      let index = state.indices[channel]
+      for (let i = 0; i < length; i++) {
+        const n = start + (this._position + i) * stride
+        const nibble = n & 1 ? it[n >> 1] >> 4 : it[n >> 1] & 0x0f
+        const step = IMA_STEP_TABLE[index]
+        let diff = step >> 3
+        if (nibble & 1) {
+          diff += step >> 2
+        }
+        if (nibble & 2) {
+          diff += step >> 1
+        }
+        if (nibble & 4) {
+          diff += step
+        }
+        predictor += nibble & 8 ? -diff : diff
+        predictor = Math.max(-32768, Math.min(32767, predictor))
+        index = Math.max(0, Math.min(88, index + IMA_INDEX_TABLE[nibble & 7]))
+        if (target) {
+          target[toOffset + i] = predictor / 32768
+        }
+      }
+      state.predictors[channel] = predictor
+      state.indices[channel] = index
+    }
+    this._position += length
+  }
+}
+
+// Factors scaling 16-bit samples as done by Int16ArrayBuffer
+const INT16_NEGATIVE_FACTOR = 1 / 32768
+const INT16_POSITIVE_FACTOR = 1 / 32767
+
+/**
+ * Planar data with a separate array per channel, either as an array of
+ * Float32Arrays or Int16Arrays (one per channel) or as an object with such an
+ * array as `channelData` and its `sampleRate` (like the audio data exported by
+ * web-audio-engine). Each channel is copied on its own, without packing them
+ * into a single buffer first.
+ *
+ * @implements AudioBufferFormat
+ */
+export class ChannelArrayBuffer {
+  constructor (channels, interleaved, it) {
+    const channelData = Array.isArray(it) ? it : it.channelData
+    for (let channel = 1; channel < channelData.length; channel++) {
+      if (channelData[channel].length !== channelData[0].length) {
+        throw new Error('Channels of a chunk differ in length')
+      }
+    }
+    this._channelData = channelData
+    /**
+     * Sample rate of the data, if known.
+     * @type {number|undefined}
+     */
+    this.sampleRate = Array.isArray(it) ? undefined : it.sampleRate
+  }
+
+  static accepts (chunk) {
+    const channelData = Array.isArray(chunk) ? chunk : chunk && chunk.channelData
+    return Array.isArray(channelData) && channelData.length > 0 &&
+      channelData.every((data) => data instanceof Float32Array || data instanceof Int16Array)
+  }
+
+  get length () {
+    return this._channelData[0].length
+  }
+
+  get numberOfChannels () {
+    return this._channelData.length
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    for (let channel = 0; channel < this._channelData.length; channel++) {
+      const source = this._channelData[channel]
+      if (source instanceof Float32Array) {
+        to.copyToChannel(source.subarray(fromOffset, fromOffset + length), channel, toOffset)
+        continue
+      }
+      // Same scaling as Int16ArrayBuffer
+      const target = to.getChannelData(channel)
+      for (let i = 0; i < length; i++) {
+        const val = source[fromOffset + i]
+        target[toOffset + i] = val * (val > 0 ? INT16_POSITIVE_FACTOR : INT16_NEGATIVE_FACTOR)
+      }
+    }
+  }
+}
+
+/**
+ * Create variants of a format with an explicit byte order for raw byte input.
+ * @param {Function} format - The format
+ * @returns {Object} The little-endian (`LE`) and big-endian (`BE`) variants
+ */
+function withByteOrder (format) {
+  class LE extends format {}
+  LE.littleEndian = true
+  class BE extends format {}
+  BE.littleEndian = false
+  return { LE: LE, BE: BE }
+}
+
+export const Float32ArrayBufferLE = withByteOrder(Float32ArrayBuffer).LE
+export const Float32ArrayBufferBE = withByteOrder(Float32ArrayBuffer).BE
+export const Float64ArrayBufferLE = withByteOrder(Float64ArrayBuffer).LE
+export const Float64ArrayBufferBE = withByteOrder(Float64ArrayBuffer).BE
+export const Int16ArrayBufferLE = withByteOrder(Int16ArrayBuffer).LE
+export const Int16ArrayBufferBE = withByteOrder(Int16ArrayBuffer).BE
+export const Int24ArrayBufferLE = withByteOrder(Int24ArrayBuffer).LE
+export const Int24ArrayBufferBE = withByteOrder(Int24ArrayBuffer).BE
+export const Int32ArrayBufferLE = withByteOrder(Int32ArrayBuffer).LE
+export const Int32ArrayBufferBE = withByteOrder(Int32ArrayBuffer).BE
+
+// Formats detected automatically in object mode, most recently registered first
+const registry = []
+
+/**
+ * Register a format for automatic detection in object mode.
+ *
+ * Formats registered later take precedence over earlier ones (and the
+ * built-in formats).
+ * @param {AudioBufferFormat} format - The format, has to implement
+ *    {@link AudioBufferFormat.accepts}
+ * @returns {function()} Removes the format from automatic detection again
+ */
+export function registerFormat (format) {
+  if (typeof format.accepts !== 'function') {
+    throw new Error('Format does not implement accepts(chunk): ' + format)
+  }
+  registry.unshift(format)
+  return () => {
+    const index = registry.indexOf(format)
+    if (index !== -1) {
+      registry.splice(index, 1)
+    }
+  }
+}
+
+/**
+ * Find the registered format of a chunk.
+ * @param {*} chunk - The chunk
+ * @returns {?AudioBufferFormat} The format or null if none accepts the chunk
+ */
+export function detectFormat (chunk) {
+  for (let i = 0; i < registry.length; i++) {
+    if (registry[i].accepts(chunk)) {
+      return registry[i]
+    }
+  }
+  return null
+}
+
+registerFormat(AudioBufferBuffer)
+registerFormat(ChannelArrayBuffer)
+registerFormat(Uint8ArrayBuffer)
+registerFormat(Int8ArrayBuffer)
+registerFormat(Int32ArrayBuffer)
+registerFormat(Float64ArrayBuffer)
+registerFormat(Int16ArrayBuffer)
+registerFormat(Float32ArrayBuffer)
@@ -0,0 +1,15 @@
+/**
+ * Convert a duration to sample-frames.
+ * @param {number|Object} duration - Duration in seconds or `{ frames: n }`
+ * @param {number} sampleRate - Sample rate used for conversion from seconds
+ * @returns {number} Amount of sample-frames
+ */
+export function toFrames (duration, sampleRate) {
+  if (typeof duration === 'number') {
+    return Math.round(duration * sampleRate)
+  }
+  if (duration && typeof duration.frames === 'number') {
+    return duration.frames
+  }
+  throw new Error('Invalid duration: ' + duration)
+}
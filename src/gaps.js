@@ -0,0 +1,62 @@
+/**
+ * Silence inserted for a range of missing input.
+ *
+ * @implements AudioBufferFormat
+ */
+export class SilenceChunk {
+  /**
+   * Create a SilenceChunk.
+   * @param {number} length - Length in sample-frames
+   */
+  constructor (length) {
+    this.length = length
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    for (let channel = 0; channel < to.numberOfChannels; channel++) {
+      to.getChannelData(channel).fill(0, toOffset, toOffset + length)
+    }
+  }
+}
+
+/**
+ * Concealment inserted for a range of missing input, repeating the chunk
+ * preceding the gap while attenuating it to silence.
+ *
+ * @implements AudioBufferFormat
+ */
+export class ConcealmentChunk {
+  /**
+   * Create a ConcealmentChunk.
+   * @param {AudioBufferFormat} source - The chunk preceding the gap
+   * @param {number} length - Length in sample-frames
+   * @param {number} fadeLength - Amount of sample-frames until silence is reached
+   */
+  constructor (source, length, fadeLength) {
+    this._source = source
+    this._fadeLength = fadeLength
+    this.length = length
+  }
+
+  get numberOfChannels () {
+    return this._source.numberOfChannels
+  }
+
+  copyTo (to, toOffset, fromOffset, length) {
+    const sourceLength = this._source.length
+    // Copy the source repeatedly
+    let copied = 0
+    while (copied < length) {
+      const sourceOffset = (fromOffset + copied) % sourceLength
+      const count = Math.min(length - copied, sourceLength - sourceOffset)
+      this._source.copyTo(to, toOffset + copied, sourceOffset, count)
+      copied += count
+    }
+    for (let channel = 0; channel < to.numberOfChannels; channel++) {
+      const data = to.getChannelData(channel)
+      for (let i = 0; i < length; i++) {
+        data[toOffset + i] *= Math.max(0, 1 - (fromOffset + i + 1) / this._fadeLength)
+      }
+    }
+  }
+}
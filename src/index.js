@@ -1,27 +1,164 @@
+/* global WritableStream */
 import globalAudioContext from 'audio-context'
 import extend from 'extend'
 import { Writable } from 'stream'
+import Resampler from './resampler'
+import { createBackend, WORKLET_PROCESSOR_SOURCE } from './backends'
+import * as formats from './formats'
+import ChannelBuffer from './channel-buffer'
+import { getMixingMatrix, mix } from './mixing'
+import { toFrames } from './frames'
+import BufferCaptureNode from './capture'
+import { WavParser } from './wav'
+import { SilenceChunk, ConcealmentChunk } from './gaps'
+
+// Amount of contiguous timestamp ranges of released packets kept to recognize duplicates
+const MAX_RELEASED_RANGES = 16
 
 /**
  * A source node that plays queued PCM buffers.
  *
  * When no more data is queued, this node emits silence.
  *
- * The queued buffers are played at the frequency of the audio context.
+ * The queued buffers are played at the frequency of the audio context unless
+ * a different input sample rate is specified, in which case they are resampled
+ * on the fly.
  *
  * Multiple channels are supported, both interleaved and
  * non interleaved layouts. Every single buffer queued is expected
  * to contain the same amount of samples for every channel. Therefore a single
- * frame may not be split across mutliple buffers.
+ * frame may not be split across mutliple buffers, with one exception:
+ * When not in object mode and the data is interleaved (or has only a single
+ * channel), chunks may be split at arbitrary bytes. Incomplete sample-frames
+ * at the end of a chunk are then carried over to the next one. If the stream
+ * ends with an incomplete sample-frame, an error is emitted. Any other chunk
+ * which does not contain whole sample-frames fails to be written.
+ *
+ * If the input has a different number of channels than the node, it is up- or
+ * down-mixed according to the channel interpretation, following the same rules
+ * as the Web Audio API. The number of input channels is taken from AudioBuffers,
+ * specified via the `inputChannels` option for other data or, in object mode,
+ * per chunk by writing `{ data: chunk, channels: n }`.
+ *
+ * For every chunk, a `'chunkstart'` and a `'chunkend'` event is emitted when it is
+ * rendered, carrying the audio context `time` at which its first or last frame is
+ * played respectively. In object mode, `metadata` may be passed along with a chunk
+ * by writing `{ data: chunk, metadata: metadata }` and is included in both events.
+ * Chunks which are discarded before being played do not emit these events. If a
+ * chunk is discarded after it started playing (by skipping, clearing, stopping or
+ * dropping stale data), its `'chunkend'` event carries the time of its last played
+ * frame and has `dropped` set. The data of a crossfade after dropping stale data
+ * does not count as played.
+ *
+ * Packets arriving over an unreliable transport may be written as
+ * `{ data: chunk, timestamp: n }`, where the timestamp is the position of the
+ * packet's first sample-frame in the input. Such packets are played in the order
+ * of their timestamps: Packets arriving early are held back for up to the reorder
+ * window until the packets preceding them arrive, which includes the first
+ * packets, as the stream starts at the earliest of them. Missing packets are
+ * replaced by silence (or concealment) once the window is exceeded or their data
+ * would be played, and packets arriving after that (or duplicates) are discarded. These
+ * are reported via the `'reorder'`, `'gap'`, `'late'` and `'duplicate'` events
+ * and counted in the stats.
  *
  * When in object mode, the input format is determined automatically.
- * Supported formats are Float32Array, Int16Array and AudioBuffer.
+ * Supported formats are Float32Array, Float64Array, Int8Array, Int16Array,
+ * Int32Array, Uint8Array (unsigned with an offset of 128) and AudioBuffer.
+ * Planar data may also be passed as an array with one Float32Array or
+ * Int16Array per channel, or as `{ channelData: arrays, sampleRate: rate }`,
+ * where the sample rate has to match the input sample rate.
+ * Additional formats may be registered via {@link BufferQueueNode.registerFormat}.
  * When not in object mode, the input format has to be specified manually by
- * passing {@link BufferQueueNode#Float32Array} or {@link BufferQueueNode#Int16Array}
- * to the constructor.
+ * passing one of the formats (e.g. {@link BufferQueueNode#Float32Array} or
+ * {@link BufferQueueNode#Int16Array}) to the constructor. Formats of multi-byte
+ * samples use the platform's byte order unless their explicit little-endian
+ * (e.g. {@link BufferQueueNode#Int16ArrayLE}) or big-endian (e.g.
+ * {@link BufferQueueNode#Int16ArrayBE}) variant is used. Packed 24-bit samples
+ * are supported via {@link BufferQueueNode#Int24Array} (little-endian by default).
+ * Compressed telephony audio is decoded on the fly with
+ * {@link BufferQueueNode#MuLaw}, {@link BufferQueueNode#ALaw} (G.711) and
+ * {@link BufferQueueNode#ImaAdpcm}, whose decoder state carries over between chunks.
+ *
+ * When not in object mode, the input may also be a WAVE file (or stream), from
+ * whose header the format, number of channels and sample rate are configured.
+ * PCM data with 8, 16, 24 or 32 bits and IEEE float data with 32 or 64 bits is
+ * supported; other encodings emit an error. Chunks other than the format and
+ * data chunk are skipped. Durations passed as options in seconds (such as the
+ * queue high water mark) apply at the sample rate from the header.
+ *
+ * For live streams with irregularly arriving data, a jitter buffer mode is
+ * available. In this mode, playback only starts (or restarts after the queue
+ * ran dry) once a minimum amount of data has been queued. If the queue grows
+ * beyond a maximum latency, the oldest data is dropped to bring it back to
+ * the target latency, the same way (and with the same `'drop'` event) as with
+ * the `maxLatency` option described below.
+ *
+ * As the clock of a live source usually drifts apart from the audio context's,
+ * the queue of a live stream tends to grow or run dry over time. With drift
+ * compensation enabled, the queued data is resampled at a slightly higher or
+ * lower rate to keep the queued latency near a target. The rate only deviates
+ * by a fraction of a percent and changes gradually, so the change in pitch is
+ * not audible. The current rate is available as
+ * {@link BufferQueueNode#playbackRate}.
+ *
+ * For interactive use, where stale audio is worse than missing audio, the
+ * latency can be capped via the `maxLatency` option. Whenever more audio is
+ * queued, the oldest data (including parts of chunks) is dropped and a `'drop'`
+ * event is emitted with the amount of `frames` and the `duration` dropped.
+ * The jump may be smoothed with a short crossfade.
+ *
+ * By default all written data is queued immediately. To apply backpressure to
+ * the writing side, a queue high water mark may be set, in which case writes
+ * are held back until playback has drained the queue below that mark.
+ *
+ * Audio is rendered on the main thread. Where available, the rendered audio is
+ * handed to an AudioWorklet for playback, which is kept `renderAhead` of the
+ * output, so stalls of the main thread shorter than that do not cause glitches.
+ * The worklet plays every block at the audio context time it has been rendered
+ * for, so scheduled playback and chunk event times are exact. Otherwise (or when requested) a ScriptProcessorNode is used instead.
+ *
+ * When the queue runs dry during playback, the gap is filled with silence by
+ * default. To prevent clicks, the `'fade'` underrun strategy ramps down to
+ * silence instead, while the `'conceal'` strategy continues the most recently
+ * played audio with decreasing volume for a short time. With both strategies,
+ * data arriving after the underrun is faded in. The end of the stream is ramped
+ * down in the same way.
+ *
+ * Playback starts as soon as data is queued, unless it has been scheduled to
+ * start at a specific time via {@link BufferQueueNode#start}, in which case
+ * the first queued sample-frame is played at exactly that time. Similarly,
+ * {@link BufferQueueNode#stop} ends playback and closes the node at a
+ * specific time.
+ *
+ * Playback can be controlled with {@link BufferQueueNode#pause},
+ * {@link BufferQueueNode#resume}, {@link BufferQueueNode#clear} and
+ * {@link BufferQueueNode#skip}, all of which fade the output out (or in) over
+ * a short duration to prevent clicks.
  *
- * Note that this does only implement a small part of the AudioNode interface.
- * This node will disconnect automatically when its stream is closed.
+ * The health of the queue can be monitored with {@link BufferQueueNode#getStats}
+ * and the `'underrun'` (queue ran dry during playback), `'resume'` (playback
+ * continues after an underrun) and `'drained'` (all queued data has been played)
+ * events.
+ *
+ * The reverse, streaming audio from the graph, is provided by
+ * {@link BufferQueueNode.CaptureNode}.
+ *
+ * Besides being a Node-style Writable, the node can be written to via a WHATWG
+ * WritableStream ({@link BufferQueueNode#writable}) or fed from an async
+ * iterable or ReadableStream, such as a `fetch()` response body, via
+ * {@link BufferQueueNode#consume}.
+ *
+ * Many independent streams can be played through a single node by creating
+ * tracks via {@link BufferQueueNode#createTrack}. Each track is a Writable of its
+ * own with its own gain, mute, transport controls, underrun and end-of-stream
+ * state, and all tracks are summed into the node's output along with the data
+ * written to the node itself. The node only ends once its own stream and all of
+ * its tracks have ended. Stopping the node removes all of its tracks.
+ *
+ * The node exposes the parts of the AudioNode interface applicable to a source
+ * node (it has no inputs), so it can be connected to other nodes and AudioParams
+ * like any native source. Its output volume can be automated via its `gain`
+ * AudioParam. This node will disconnect automatically when its stream is closed.
  *
  * @extends Writable
  */
@@ -33,20 +170,97 @@ class BufferQueueNode extends Writable {
    *    Format of input data when not in objectMode.
    * @param {boolean} [options.interleaved=true] - Whether the input data is interleaved
    * @param {number} [options.channels=1] - Number of channels
+   * @param {number} [options.inputChannels=channels] - Number of channels of the input
+   *    data (when not an AudioBuffer), mixed to `channels` if it differs
+   * @param {string} [options.channelInterpretation='speakers'] - How channels are mixed
+   *    if the input has a different number of channels, either `'speakers'` or
+   *    `'discrete'` (same as the AudioNode property of the same name)
    * @param {number} [options.bufferSize=0] - Buffer size, must be a power of two
    *    between 256 and 16284. May also be 0 in which case the implementation will
    *    pick a good value (recommanded).
+   * @param {string} [options.backend='auto'] - How audio is rendered: `'audioWorklet'`,
+   *    `'scriptProcessor'` or `'auto'` which uses an AudioWorklet if the audio context
+   *    supports it and falls back to a ScriptProcessorNode otherwise.
+   * @param {number|Object} [options.renderAhead=0.2] - Amount of audio rendered ahead
+   *    of playback by the AudioWorklet backend, either in seconds or `{ frames: n }`.
+   *    Main thread stalls up to this long do not cause glitches, but pausing, gain
+   *    changes of tracks and the like only take effect after this long.
+   * @param {string} [options.workletModuleUrl] - URL from which to load the AudioWorklet
+   *    module (see `BufferQueueNode.WORKLET_PROCESSOR_SOURCE`), defaults to a blob URL.
+   * @param {string} [options.container] - Set to `'wav'` if the input (when not in
+   *    objectMode) is a RIFF/WAVE stream, in which case `dataType`, `interleaved`,
+   *    `inputChannels` and (unless specified) `inputSampleRate` are taken from its header.
    * @param {AudioContext} [options.audioContext=require('audio-context')()] - The audio context
+   * @param {number|Object} [options.queueHighWaterMark=Infinity] - Amount of queued
+   *    audio at which the write callback is held back until playback has drained the
+   *    queue below it. Either in seconds or as `{ frames: n }` (in sample-frames).
+   *    Writes are not held back while the jitter buffer is filling up.
+   * @param {number} [options.inputSampleRate=audioContext.sampleRate] - Sample rate of
+   *    the input data. Data is resampled to the rate of the audio context as it plays.
+   * @param {string} [options.resampleQuality='linear'] - Resampling method used if the
+   *    input sample rate differs from the audio context's, either `'linear'` or `'sinc'`
+   *    (windowed-sinc, better quality at a higher cost).
+   * @param {number} [options.fadeDuration=0.01] - Default duration of the fades applied
+   *    by {@link BufferQueueNode#pause}, {@link BufferQueueNode#resume},
+   *    {@link BufferQueueNode#clear} and {@link BufferQueueNode#skip} in seconds
+   * @param {string} [options.underrunStrategy='silence'] - How a gap caused by the queue
+   *    running dry is filled: `'silence'`, `'fade'` (ramp down to silence and fade in
+   *    once data is available again) or `'conceal'` (continue the last played audio
+   *    while attenuating it to silence, then fade in once data is available again)
+   * @param {number|Object} [options.underrunFadeDuration=0.005] - Duration of the ramps
+   *    used by the `'fade'` and `'conceal'` strategies
+   * @param {number|Object} [options.concealmentDuration=0.06] - Maximum duration of
+   *    the concealment before it reaches silence (for underruns and gaps)
+   * @param {number|Object} [options.reorderWindow=0.06] - Maximum span of timestamped
+   *    packets held back while waiting for a missing packet, either in seconds or
+   *    `{ frames: n }` (in sample-frames of the input)
+   * @param {string} [options.gapFill='silence'] - How missing packets are replaced:
+   *    `'silence'` or `'conceal'` (repeat the preceding packet while attenuating it)
+   * @param {number|Object} [options.maxLatency=Infinity] - Amount of queued audio above
+   *    which the oldest data is dropped, either in seconds or `{ frames: n }` (in
+   *    sample-frames of the input)
+   * @param {number|Object} [options.dropCrossfadeDuration=0] - Duration of the crossfade
+   *    from the dropped data to the remaining data, none by default
+   * @param {Object} [options.writableStrategy] - Queuing strategy of
+   *    {@link BufferQueueNode#writable}, e.g. a CountQueuingStrategy
+   * @param {Object} [options.driftCompensation] - Enables drift compensation when set.
+   * @param {number|Object} [options.driftCompensation.targetLatency=0.1] - Amount of
+   *    queued audio to keep, either in seconds or `{ frames: n }` (in sample-frames)
+   * @param {number} [options.driftCompensation.maxDeviation=0.005] - Maximum deviation
+   *    of the playback rate from the nominal rate (0.005 being 0.5%)
+   * @param {number} [options.driftCompensation.timeConstant=2] - Time constant in
+   *    seconds of the smoothing applied to the measured latency and the playback rate
+   * @param {Object} [options.jitterBuffer] - Enables the jitter buffer mode when set.
+   *    All durations are either in seconds or `{ frames: n }` (in sample-frames).
+   * @param {number|Object} [options.jitterBuffer.targetLatency=0.1] - Amount of queued
+   *    audio to which the backlog is cut when it exceeds the maximum latency
+   * @param {number|Object} [options.jitterBuffer.minFill=targetLatency] - Amount of
+   *    queued audio required before playback starts or restarts after an underrun
+   * @param {number|Object} [options.jitterBuffer.maxLatency=3*targetLatency] - Amount
+   *    of queued audio above which the oldest data is dropped
    */
   constructor (options) {
-    super(options)
+    // The close event is emitted once playback has finished, not when the stream does
+    super(extend({ emitClose: false }, options))
 
     options = extend({
-      dataType: Float32ArrayBuffer,
+      dataType: formats.Float32ArrayBuffer,
       objectMode: false,
       interleaved: true,
       channels: 1,
-      bufferSize: 0
+      channelInterpretation: 'speakers',
+      bufferSize: 0,
+      backend: 'auto',
+      renderAhead: 0.2,
+      fadeDuration: 0.01,
+      underrunStrategy: 'silence',
+      underrunFadeDuration: 0.005,
+      concealmentDuration: 0.06,
+      maxLatency: Infinity,
+      dropCrossfadeDuration: 0,
+      reorderWindow: 0.06,
+      gapFill: 'silence',
+      queueHighWaterMark: Infinity
     }, options)
     if (!options.audioContext) {
       options.audioContext = globalAudioContext()
@@ -55,92 +269,402 @@ class BufferQueueNode extends Writable {
     this._objectMode = options.objectMode
     this._interleaved = options.interleaved
     const channels = this._channels = options.channels
-    const bufferSize = options.bufferSize
+    const inputChannels = this._inputChannels = options.inputChannels || channels
+    this._channelInterpretation = options.channelInterpretation
+    this._channelCount = channels
+    this._channelCountMode = 'explicit'
+    // Validate the interpretation early
+    getMixingMatrix(inputChannels, channels, this._channelInterpretation)
+    // Buffer holding data with a different number of channels until it is mixed
+    this._mixBuffer = null
+    // Size of a sample-frame in bytes if frames may be split across chunks
+    this._frameSize = 0
+    if (!this._objectMode && (this._interleaved || inputChannels === 1) && this._dataType.bytesPerSample) {
+      this._frameSize = this._dataType.bytesPerSample * inputChannels
+    }
+    // Bytes of an incomplete sample-frame at the end of the last chunk
+    this._partialFrame = null
     const audioContext = options.audioContext
-    // const sampleRate = audioContext.sampleRate
+    const sampleRate = this._sampleRate = audioContext.sampleRate
+    const inputSampleRate = this._inputSampleRate = options.inputSampleRate || sampleRate
 
     // Queue that holds all future audio buffer
     this._queue = []
-
-    // Create a script processor node that will inject our samples
-    var processorNode = audioContext.createScriptProcessor(bufferSize, 0, channels)
-    // Create a buffer source that will power the script processor
-    // Note: This isn't strictly required, however some browsers are buggy
-    var inputNode = audioContext.createBufferSource()
-    // That source should be looping over a short, silent buffer
-    inputNode.loop = true
-
-    var shuttingDown = false
-    var shutDown = false
+    // Amount of sample-frames in the queue (including the rest of the current buffer)
+    this._queuedFrames = 0
+    // Options whose durations are converted to sample-frames of the input, again
+    // if a WAVE header changes the input sample rate (see _convertInputDurations)
+    this._durationOptions = options
+    // Once the queue reaches this amount of sample-frames, writing is paused
+    this._queueHighWaterMark = 0
+    // Callback of the last write if it has been held back due to the queue being full
+    this._pendingWriteCallback = null
     // The buffer which holds the current audio data
-    var currentBuffer = null
+    this._currentBuffer = null
     // Offset into the current buffer
-    var currentBufferOffset
-    processorNode.addEventListener('audioprocess', (e) => {
-      if (shutDown) {
-        // Already shut down
-        return
+    this._currentBufferOffset = 0
+    // Whether the current buffer has started playing, and the time of its last played frame
+    this._currentBufferStarted = false
+    this._currentBufferEndTime = 0
+    // Whether data is read for the crossfade after a drop, which does not count as played
+    this._readingDropped = false
+    // Converts queued data to the sample rate of the audio context (if required)
+    this._resampler = null
+
+    // Drift compensation configuration, if enabled
+    this._driftCompensation = null
+    if (options.driftCompensation) {
+      const driftCompensation = options.driftCompensation = extend({
+        targetLatency: 0.1,
+        maxDeviation: 0.005,
+        timeConstant: 2
+      }, options.driftCompensation)
+      this._driftCompensation = {
+        targetLatency: 0,
+        maxDeviation: driftCompensation.maxDeviation,
+        timeConstant: driftCompensation.timeConstant
       }
-      const out = e.outputBuffer
-      // Offset into the output buffer
-      let outOffset = 0
-      // Try to fill the whole output buffer
-      while (outOffset < out.length) {
-        // If we don't have a current buffer but there are some in the queue
-        if (!currentBuffer && this._queue.length > 0) {
-          // Then get the next queued buffer from the queue
-          currentBuffer = this._queue.shift()
-          currentBufferOffset = 0
-        }
-        // If we still don't have any data,
-        if (!currentBuffer) {
-          // then fill the rest of the output with silence
-          for (let channel = 0; channel < channels; channel++) {
-            out.getChannelData(channel).fill(0, outOffset)
-          }
-          // and shut down if requested
-          if (shuttingDown) {
-            shutDown = true
-            process.nextTick(() => this.emit('close'))
-          }
-          break
-        }
-        // Otherwise (we have data), copy as much as possible
-        const remainingOutput = out.length - outOffset
-        const remainingInput = currentBuffer.length - currentBufferOffset
-        const remaining = Math.min(remainingOutput, remainingInput)
-        // Do the actual copying
-        currentBuffer.copyTo(out, outOffset, currentBufferOffset, remaining)
-        // Increase offsets
-        currentBufferOffset += remaining
-        outOffset += remaining
-        // Check if there is still data remaining in the current buffer
-        if (currentBufferOffset >= currentBuffer.length) {
-          currentBuffer = null
-        }
+    }
+    // Current playback rate and the smoothed latency (in sample-frames) it is based on
+    this._playbackRate = 1
+    this._smoothedLatency = null
+    if (inputSampleRate !== sampleRate || this._driftCompensation) {
+      this._resampler = new Resampler(channels, inputSampleRate, sampleRate, options.resampleQuality)
+    }
+    this._resampleQuality = options.resampleQuality
+    this._readCallback = (target, offset, length) => this._read(target, offset, length)
+
+    // Parser of the WAVE header, if the input is a WAVE stream
+    this._wavParser = null
+    // Whether the input sample rate should be taken from the WAVE header
+    this._wavSampleRate = false
+    if (options.container === 'wav') {
+      if (this._objectMode) {
+        throw new Error('WAVE input requires object mode to be disabled')
       }
+      this._wavParser = new WavParser()
+      this._wavSampleRate = !options.inputSampleRate
+      // Format is unknown until the header has been parsed
+      this._frameSize = 0
+    } else if (options.container) {
+      throw new Error('Unsupported container: ' + options.container)
+    }
+
+    // Jitter buffer configuration (in sample-frames), if enabled
+    this._jitterBuffer = null
+    if (options.jitterBuffer) {
+      options.jitterBuffer = extend({ targetLatency: 0.1 }, options.jitterBuffer)
+      this._jitterBuffer = {
+        targetLatency: 0,
+        minFill: 0,
+        maxLatency: 0
+      }
+    }
+    // Whether playback is held back until the jitter buffer has filled up
+    this._buffering = this._jitterBuffer !== null
+
+    // Audio context time at which the output currently being rendered will be played
+    this._renderTime = 0
+    // Whether the stream has been ended and the node should shut down once drained
+    this._shuttingDown = false
+    // Audio context sample-frames at which playback is scheduled to start and stop
+    this._startFrame = null
+    this._stopFrame = null
+    // Whether playback has been paused
+    this._paused = false
+    // Current output gain, only differs from 1 while (or after) fading out
+    this._gain = 1
+    // Fade in progress, if any
+    this._fade = null
+    this._fadeDuration = options.fadeDuration
+    // Timestamped packets waiting for missing packets preceding them, sorted by timestamp
+    this._reorderBuffer = []
+    this._reorderWindow = 0
+    // Timestamp of the sample-frame following the queued data, once known
+    this._nextTimestamp = null
+    // Timestamp ranges of the packets released most recently, to recognize duplicates
+    this._releasedRanges = []
+    // Last chunk queued, passed to the next one for formats carrying state across chunks
+    this._lastQueued = null
+    // Last packet queued, repeated to conceal missing packets
+    this._lastPacket = null
+    this._gapFill = options.gapFill
+    if (this._gapFill !== 'silence' && this._gapFill !== 'conceal') {
+      throw new Error('Unsupported gap fill: ' + this._gapFill)
+    }
+    this._gapConcealmentFrames = 0
+    // Amount of queued sample-frames above which the oldest ones are dropped
+    this._maxLatency = 0
+    this._convertInputDurations()
+    // Data kept aside when dropping, to crossfade it with the following data
+    this._dropFadeBuffer = null
+    const dropCrossfadeFrames = toFrames(options.dropCrossfadeDuration, sampleRate)
+    if (dropCrossfadeFrames > 0) {
+      this._dropFadeBuffer = new ChannelBuffer(channels, dropCrossfadeFrames)
+    }
+    this._dropFadeLength = 0
+    this._dropFadeOffset = 0
+    // How the gap is filled when the queue runs dry during playback
+    const underrunStrategy = options.underrunStrategy
+    // Most recently played sample-frames (only kept if not filling with silence)
+    this._history = null
+    this._historyLength = 0
+    this._underrunFadeFrames = toFrames(options.underrunFadeDuration, sampleRate)
+    if (underrunStrategy === 'fade') {
+      // Ramp from the last sample-frame down to silence
+      this._history = new ChannelBuffer(channels, 1)
+      this._concealFrames = this._underrunFadeFrames
+    } else if (underrunStrategy === 'conceal') {
+      this._history = new ChannelBuffer(channels, toFrames(CONCEALMENT_HISTORY_DURATION, sampleRate))
+      this._concealFrames = toFrames(options.concealmentDuration, sampleRate)
+    } else if (underrunStrategy === 'silence') {
+      this._concealFrames = 0
+    } else {
+      throw new Error('Unsupported underrun strategy: ' + underrunStrategy)
+    }
+    // Amount of sample-frames concealed since the last underrun
+    this._concealOffset = this._concealFrames
+    // Whether queued data has been played during the last processing
+    this._playing = false
+    // Whether the queue ran dry during playback and has not resumed yet
+    this._underrun = false
+    // Whether all queued data has been played
+    this._drained = true
+    this._stats = {
+      framesPlayed: 0,
+      underrunCount: 0,
+      silenceFrames: 0,
+      reorderedPackets: 0,
+      duplicatePackets: 0,
+      latePackets: 0,
+      gapFrames: 0,
+      droppedFrames: 0
+    }
+
+    // WHATWG stream writing to this node, created on first access
+    this._writable = null
+    this._writableStrategy = options.writableStrategy
+
+    // Tracks mixed into the output of this node
+    this._tracks = []
+    // Buffer into which each track is rendered before being mixed
+    this._trackBuffer = null
+    // Whether this node is a track and its output is discarded (muted)
+    this._isTrack = options.backend === 'track'
+    this._muted = false
+
+    const backend = this._backend = createBackend(audioContext, options, {
+      render: (out, playbackTime) => this._renderWithTracks(out, playbackTime),
+      ended: () => process.nextTick(() => this.emit('close')),
+      error: (err) => this.emit('error', err)
     })
-    // Connect the input node to the script processor
-    // inputNode.connect(processorNode)
-    // inputNode.start()
 
-    // Store node for later connecting
-    this._node = processorNode
+    this._audioContext = audioContext
+    // Output node applying the gain, connections are made from it
+    // Tracks are mixed by their node instead and only have a gain value
+    const gainNode = this._node = this._isTrack ? null : audioContext.createGain()
+    this._trackGain = { value: 1 }
+    if (gainNode) {
+      backend.output.connect(gainNode)
+    }
 
     this.on('finish', () => {
-      shuttingDown = true
+      this._shuttingDown = true
+      // No more packets will arrive to fill any gaps
+      this._releasePackets(Infinity)
+      if (this._wavParser && !this._wavParser.inData) {
+        this.emit('error', new Error('Stream ended before the start of the WAVE data'))
+      }
+      if (this._partialFrame) {
+        this._partialFrame = null
+        this.emit('error', new Error('Stream ended with an incomplete sample-frame'))
+      }
     })
     this.on('close', () => {
-      processorNode.disconnect()
+      backend.close()
+      if (gainNode) {
+        gainNode.disconnect()
+      }
     })
   }
 
   /**
-   * Connect this node to another node.
-   * @see https://developer.mozilla.org/en-US/docs/Web/API/AudioNode/connect(AudioNode)
+   * The audio context this node belongs to.
+   * @type {AudioContext}
+   */
+  get context () {
+    return this._audioContext
+  }
+
+  /**
+   * Number of inputs, always 0 as this is a source node.
+   * @type {number}
    */
-  connect () {
-    return this._node.connect.apply(this._node, arguments)
+  get numberOfInputs () {
+    return 0
+  }
+
+  /**
+   * Number of outputs, always 1.
+   * @type {number}
+   */
+  get numberOfOutputs () {
+    return 1
+  }
+
+  /**
+   * Number of channels of inputs, the number of output channels passed to the
+   * constructor by default. May be assigned like on native source nodes, but has
+   * no effect as this node has no inputs. The output keeps its channels.
+   * @type {number}
+   */
+  get channelCount () {
+    return this._channelCount
+  }
+
+  set channelCount (channelCount) {
+    if (!(channelCount >= 1 && channelCount <= MAX_CHANNEL_COUNT && channelCount % 1 === 0)) {
+      throw new Error('Unsupported channel count: ' + channelCount)
+    }
+    this._channelCount = channelCount
+  }
+
+  /**
+   * How the number of channels of inputs is determined, `'explicit'` by default.
+   * May be assigned like on native source nodes, but has no effect as this node
+   * has no inputs.
+   * @type {string}
+   */
+  get channelCountMode () {
+    return this._channelCountMode
+  }
+
+  set channelCountMode (channelCountMode) {
+    if (CHANNEL_COUNT_MODES.indexOf(channelCountMode) === -1) {
+      throw new Error('Unsupported channel count mode: ' + channelCountMode)
+    }
+    this._channelCountMode = channelCountMode
+  }
+
+  /**
+   * How input channels are mixed, as passed to the constructor. Changes apply to
+   * data played afterwards.
+   * @type {string}
+   */
+  get channelInterpretation () {
+    return this._channelInterpretation
+  }
+
+  set channelInterpretation (channelInterpretation) {
+    // Validate before changing anything
+    getMixingMatrix(1, 1, channelInterpretation)
+    this._channelInterpretation = channelInterpretation
+  }
+
+  /**
+   * Gain applied to the output, may be automated like the gain of a GainNode.
+   * For tracks, this is a plain object of which only `value` is supported.
+   * @type {AudioParam}
+   */
+  get gain () {
+    return this._node ? this._node.gain : this._trackGain
+  }
+
+  /**
+   * Whether the output of this track is discarded. Queued data is still
+   * consumed while muted. Only supported for tracks.
+   * @type {boolean}
+   */
+  get muted () {
+    return this._muted
+  }
+
+  set muted (muted) {
+    if (!this._isTrack) {
+      throw new Error('Only tracks can be muted, use the gain instead')
+    }
+    this._muted = muted
+  }
+
+  /**
+   * Create a track which is mixed into the output of this node.
+   *
+   * A track is a BufferQueueNode of its own (written to, paused, scheduled and
+   * monitored independently) which is not connected to the audio graph.
+   * Instead, it is rendered by this node along with its own queue. The track
+   * closes when its stream has ended and all of its data has been played, or
+   * when it is removed.
+   * @param {Object} [options] - Options as passed to the constructor, except for
+   *    the audio context, number of channels and backend, which are taken
+   *    from this node
+   * @returns {BufferQueueNode} The track
+   */
+  createTrack (options) {
+    if (this._isTrack) {
+      throw new Error('Tracks cannot have tracks of their own')
+    }
+    const track = new BufferQueueNode(extend({}, options, {
+      audioContext: this._audioContext,
+      channels: this._channels,
+      backend: 'track'
+    }))
+    this._tracks.push(track)
+    track.on('close', () => this._removeFromTracks(track))
+    return track
+  }
+
+  /**
+   * Remove a track, discarding its queued data. The track's stream is destroyed,
+   * so writing to it fails, and it emits `'close'` afterwards.
+   * @param {BufferQueueNode} track - The track, created by {@link BufferQueueNode#createTrack}
+   */
+  removeTrack (track) {
+    if (this._tracks.indexOf(track) === -1) {
+      throw new Error('Not a track of this node')
+    }
+    this._removeFromTracks(track)
+    track.destroy()
+    // Data of finished streams is kept when destroying them
+    track._dropAll()
+    track._backend.end()
+  }
+
+  /**
+   * Return the tracks currently mixed into the output of this node.
+   * @returns {BufferQueueNode[]} The tracks
+   */
+  getTracks () {
+    return this._tracks.slice()
+  }
+
+  /**
+   * Stop mixing a track.
+   * @param {BufferQueueNode} track - The track
+   */
+  _removeFromTracks (track) {
+    const index = this._tracks.indexOf(track)
+    if (index !== -1) {
+      this._tracks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Connect this node to another node or an AudioParam.
+   * @see https://developer.mozilla.org/en-US/docs/Web/API/AudioNode/connect
+   * @param {AudioNode|AudioParam} destination - The node or parameter
+   * @param {number} [output=0] - Index of the output of this node
+   * @param {number} [input=0] - Index of the input of the destination node
+   * @returns {AudioNode|undefined} The destination if it is a node (for chaining)
+   */
+  connect (destination) {
+    if (!this._node) {
+      throw new Error('Tracks cannot be connected, they are played by their node')
+    }
+    this._node.connect.apply(this._node, arguments)
+    // Like AudioNode#connect, only connections to nodes can be chained
+    if (destination && typeof destination.connect === 'function') {
+      return destination
+    }
   }
 
   /**
@@ -148,146 +672,1185 @@ class BufferQueueNode extends Writable {
    * @see https://developer.mozilla.org/en-US/docs/Web/API/AudioNode/disconnect
    */
   disconnect () {
+    if (!this._node) {
+      throw new Error('Tracks cannot be disconnected, they are played by their node')
+    }
     return this._node.disconnect.apply(this._node, arguments)
   }
 
-  _write (chunk, encoding, callback) {
-    if (this._objectMode) {
-      if (chunk instanceof Float32Array) {
-        chunk = new Float32ArrayBuffer(this._channels, this._interleaved, chunk)
-      } else if (chunk instanceof Int16Array) {
-        chunk = new Int16ArrayBuffer(this._channels, this._interleaved, chunk)
-      } else {
-        chunk = new AudioBufferBuffer(chunk)
+  /**
+   * A WHATWG WritableStream writing to this node.
+   *
+   * Chunks are passed to {@link BufferQueueNode#write}, so they have to be
+   * in the same format. A write completes once the chunk has been queued (which
+   * is held back by the queue high water mark), so the stream's queuing strategy
+   * (the `writableStrategy` option) applies backpressure on top of the queue.
+   * Closing the stream ends this node, aborting it also discards all queued data.
+   * @type {WritableStream}
+   */
+  get writable () {
+    if (!this._writable) {
+      if (typeof WritableStream === 'undefined') {
+        throw new Error('WritableStream is not supported in this environment')
+      }
+      this._writable = new WritableStream({
+        write: (chunk) => new Promise((resolve, reject) => {
+          this.write(chunk, (err) => err ? reject(err) : resolve())
+        }),
+        close: () => new Promise((resolve) => this.end(() => resolve())),
+        abort: () => {
+          this._dropAll()
+          this.end()
+        }
+      }, this._writableStrategy)
+    }
+    return this._writable
+  }
+
+  /**
+   * Write all chunks of a source to this node and end it once the source is
+   * exhausted. Chunks are only pulled from the source while this node accepts
+   * more data.
+   * @param {AsyncIterable|Iterable|ReadableStream} source - The source, e.g. the
+   *    body of a `fetch()` response
+   * @returns {Promise} Resolved once all chunks have been written and the node has
+   *    ended. Rejected if reading from the source fails, if writing to this node
+   *    fails or if this node closes (e.g. when stopped or destroyed) before the
+   *    source is exhausted, in which case the source is cancelled. The node is not
+   *    ended then.
+   */
+  consume (source) {
+    let next
+    // Called once the source has been exhausted or has failed
+    let release = () => {}
+    // Called if the source is abandoned before it has been exhausted
+    let cancel
+    if (typeof source.getReader === 'function' && !source[Symbol.asyncIterator]) {
+      // ReadableStreams are not async iterable in all environments
+      const reader = source.getReader()
+      next = () => reader.read()
+      release = () => reader.releaseLock()
+      cancel = (reason) => {
+        reader.cancel(reason).then(release, release).catch(() => {})
       }
     } else {
-      chunk = new (this._dataType)(this._channels, this._interleaved, chunk)
+      const iterator = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]()
+      next = () => Promise.resolve(iterator.next())
+      cancel = () => {
+        if (typeof iterator.return === 'function') {
+          Promise.resolve().then(() => iterator.return()).catch(() => {})
+        }
+      }
     }
-    this._queue.push(chunk)
-    callback(null)
+    return new Promise((resolve, reject) => {
+      let settled = false
+      const settle = () => {
+        settled = true
+        this.removeListener('error', onError)
+        this.removeListener('close', onClose)
+        this.removeListener('drain', pump)
+      }
+      // Whether the source has been exhausted or has failed
+      let sourceDone = false
+      const fail = (err) => {
+        if (settled) {
+          return
+        }
+        settle()
+        if (!sourceDone) {
+          cancel(err)
+        }
+        reject(err)
+      }
+      const onError = (err) => fail(err)
+      const onClose = () => fail(new Error('Node closed before the source was exhausted'))
+      const pump = () => {
+        next().then((result) => {
+          if (settled) {
+            return
+          }
+          if (result.done) {
+            sourceDone = true
+            release()
+            this.removeListener('drain', pump)
+            this.end((err) => {
+              if (err) {
+                fail(err)
+              } else if (!settled) {
+                settle()
+                resolve()
+              }
+            })
+          } else {
+            let more
+            try {
+              more = this.write(result.value)
+            } catch (err) {
+              // Writable throws for chunks of the wrong type, e.g. null
+              fail(err)
+              return
+            }
+            if (more) {
+              pump()
+            } else {
+              this.once('drain', pump)
+            }
+          }
+        }, (err) => {
+          sourceDone = true
+          release()
+          fail(err)
+        })
+      }
+      this.on('error', onError)
+      this.on('close', onClose)
+      pump()
+    })
   }
-}
 
-/**
- * @interface AudioBufferFormat
- */
+  /**
+   * Discard all queued data and close once the output has ended if the stream
+   * is destroyed before it has finished, as no more data can be written then.
+   * Streams which have finished are destroyed as well, but keep playing.
+   * @param {?Error} err - The error the stream has been destroyed with, if any
+   * @param {function(?Error)} callback - Called once destroyed
+   */
+  _destroy (err, callback) {
+    if (!this.writableFinished) {
+      this._dropAll()
+      this._shuttingDown = true
+    }
+    callback(err)
+  }
 
-/**
- * Copy samples from this buffer to the target AudioBuffer.
- *
- * @function
- * @name AudioBufferFormat#copyTo
- * @param {AudioBuffer} to - The target audio buffer
- * @param {number} toOffset - Offset into the target audio buffer
- * @param {number} fromOffset - Offset into this buffer
- * @param {number} length - Amount of sample-frames to copy
- */
+  /**
+   * Fill the output buffer with queued data and mix all tracks into it.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} playbackTime - Audio context time at which the buffer will be played
+   * @returns {boolean} Whether this node and all of its tracks have ended
+   */
+  _renderWithTracks (out, playbackTime) {
+    const ended = this._render(out, playbackTime)
+    const tracks = this._tracks
+    if (tracks.length === 0) {
+      return ended
+    }
+    // Tracks are stopped along with this node
+    let length = out.length
+    const outFrame = Math.round(playbackTime * this._sampleRate)
+    const stopped = this._stopFrame !== null && this._stopFrame - outFrame <= length
+    if (stopped) {
+      length = Math.max(0, this._stopFrame - outFrame)
+    }
+    let trackBuffer = this._trackBuffer
+    if (!trackBuffer || trackBuffer.length !== out.length) {
+      trackBuffer = this._trackBuffer = new ChannelBuffer(this._channels, out.length)
+    }
+    // Copy, as tracks may be removed while rendering
+    tracks.slice().forEach((track) => {
+      if (track._backend.render(trackBuffer, playbackTime)) {
+        // The last block of an ended track is still mixed
+        this._removeFromTracks(track)
+      }
+      if (track._muted) {
+        return
+      }
+      const gain = track._trackGain.value
+      for (let channel = 0; channel < this._channels; channel++) {
+        const source = trackBuffer.getChannelData(channel)
+        const target = out.getChannelData(channel)
+        for (let i = 0; i < length; i++) {
+          target[i] += source[i] * gain
+        }
+      }
+    })
+    if (stopped) {
+      this._tracks.slice().forEach((track) => this.removeTrack(track))
+    }
+    return ended && this._tracks.length === 0
+  }
 
-/** @implements AudioBufferFormat */
-class AudioBufferBuffer {
-  constructor (it) {
-    this._it = it
+  /**
+   * Fill the output buffer with queued data, or silence if there is none.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} playbackTime - Audio context time at which the buffer will be played
+   * @returns {boolean} Whether the stream has ended and no further output will follow
+   */
+  _render (out, playbackTime) {
+    const channels = this._channels
+    this._renderTime = playbackTime
+    const jitterBuffer = this._jitterBuffer
+    if (jitterBuffer) {
+      // Start playback once enough data has been buffered (or no more will follow)
+      if (this._buffering && (this._queuedFrames >= jitterBuffer.minFill || this._shuttingDown)) {
+        this._buffering = false
+      }
+    }
+    // Sample-frame of the audio context at which the output buffer starts
+    const outFrame = Math.round(playbackTime * this._sampleRate)
+    // Offset at which to start filling, playback may be scheduled to start later
+    let begin = 0
+    if (this._startFrame !== null) {
+      begin = Math.min(Math.max(this._startFrame - outFrame, 0), out.length)
+    }
+    // Offset up to which to fill, playback may be scheduled to stop earlier
+    // and a pending fade-out may end before the end of the buffer
+    let limit = out.length
+    let stopped = false
+    if (this._stopFrame !== null && this._stopFrame - outFrame <= limit) {
+      limit = Math.max(begin, this._stopFrame - outFrame)
+      stopped = true
+    }
+    if (this._fade && this._fade.target === 0) {
+      limit = Math.min(limit, begin + this._fade.remaining)
+    }
+    const waiting = begin === out.length
+    // Fill as much of the output buffer as possible
+    let outOffset
+    // While paused, data is only read to fade it out
+    const pausing = this._fade && this._fade.target === 0
+    if (waiting || this._buffering || (this._paused && !pausing)) {
+      outOffset = begin
+    } else {
+      if (this._driftCompensation) {
+        this._updatePlaybackRate(out.length)
+      }
+      // Missing packets are given up on once their data would be played
+      if (this._reorderBuffer.length > 0 &&
+          this._queuedFrames < Math.ceil(out.length * this._inputSampleRate / this._sampleRate)) {
+        this._releasePackets(1)
+      }
+      // Drop stale data exceeding the latency cap (or the jitter buffer's
+      // maximum latency, in which case the backlog is cut to its target)
+      let maxLatency = this._maxLatency
+      let dropTarget = this._maxLatency
+      if (jitterBuffer && jitterBuffer.maxLatency < maxLatency) {
+        maxLatency = jitterBuffer.maxLatency
+        dropTarget = jitterBuffer.targetLatency
+      }
+      if (this._queuedFrames > maxLatency) {
+        this._dropStale(dropTarget)
+      }
+      outOffset = begin + this._readOutput(out, begin, limit - begin)
+      if (this._dropFadeOffset < this._dropFadeLength) {
+        this._crossfadeDropped(out, begin, outOffset)
+      }
+    }
+    const starved = outOffset < limit && !this._paused && !waiting
+    if (outOffset > begin) {
+      if (this._history) {
+        this._updateHistory(out, begin, outOffset)
+      }
+      this._playing = true
+      if (this._underrun) {
+        this._underrun = false
+        if (this._history) {
+          this._fadeInAfterUnderrun(out, begin, outOffset)
+        }
+        this._emitAsync('resume')
+      }
+    }
+    // Fill the rest of the output with silence
+    for (let channel = 0; channel < channels; channel++) {
+      const data = out.getChannelData(channel)
+      data.fill(0, 0, begin)
+      data.fill(0, outOffset)
+    }
+    // End of the non-silent part of the output
+    let filled = outOffset
+    let ended = stopped
+    if (stopped) {
+      this._dropAll()
+    }
+    // If we ran out of data,
+    if (starved && !stopped) {
+      if (!this._shuttingDown) {
+        this._stats.silenceFrames += limit - outOffset
+        // start buffering again
+        if (jitterBuffer) {
+          this._buffering = true
+        }
+      }
+      if (this._playing) {
+        this._playing = false
+        if (this._history) {
+          this._concealOffset = 0
+        }
+        // Running out of data at the end of the stream is no underrun
+        if (!this._shuttingDown) {
+          this._underrun = true
+          this._stats.underrunCount++
+          this._emitAsync('underrun')
+        }
+      }
+      // Fill the gap with concealment instead of silence (if enabled),
+      // which also ramps down at the end of the stream
+      if (this._history && this._concealOffset < this._concealFrames) {
+        filled = this._conceal(out, outOffset, limit)
+      }
+      // Shut down if requested, once the ramp down has been played
+      ended = this._shuttingDown && filled < limit
+    }
+    this._applyFade(out, filled)
+    if (this._queuedFrames === 0 && !this._drained) {
+      this._drained = true
+      this._emitAsync('drained')
+    }
+    // Accept more data if the queue has drained sufficiently
+    this._releasePendingWrite()
+    return ended
   }
 
-  get length () {
-    return this._it.length
+  /**
+   * Current playback rate relative to the nominal rate, which is adjusted to keep
+   * the queued latency near its target if drift compensation is enabled.
+   * @type {number}
+   */
+  get playbackRate () {
+    return this._playbackRate
   }
 
-  copyTo (to, toOffset, fromOffset, length) {
-    for (let channel = 0; channel < this._it.numberOfChannels; channel++) {
-      const source = this._it.getChannelData(channel)
-      to.copyToChannel(source.subarray(fromOffset, fromOffset + length), channel, toOffset)
+  /**
+   * Adjust the playback rate towards the one bringing the queued latency back to
+   * its target. Both the latency and the rate are smoothed exponentially, so
+   * changes are gradual.
+   * @param {number} length - Amount of sample-frames about to be rendered
+   */
+  _updatePlaybackRate (length) {
+    const driftCompensation = this._driftCompensation
+    const target = driftCompensation.targetLatency
+    if (this._smoothedLatency === null) {
+      this._smoothedLatency = this._queuedFrames
     }
+    const smoothing = 1 - Math.exp(-length / this._sampleRate / driftCompensation.timeConstant)
+    this._smoothedLatency += (this._queuedFrames - this._smoothedLatency) * smoothing
+    // Deviate by the maximum once the latency is off by as much as the target itself
+    const error = Math.max(-1, Math.min(1, (this._smoothedLatency - target) / target))
+    const rate = 1 + error * driftCompensation.maxDeviation
+    this._playbackRate += (rate - this._playbackRate) * smoothing
+    this._resampler.setRate(this._playbackRate)
   }
-}
 
-class TypedArrayBuffer {
-  constructor (channels, interleaved, it) {
-    this._channels = channels
-    this._interleaved = interleaved
-    this._it = it
+  /**
+   * Schedule the start of playback. Until then, silence is emitted and queued data
+   * is kept. If this is never called, playback starts as soon as data is queued.
+   * @param {number} [when=0] - Audio context time at which the first queued
+   *    sample-frame is played
+   */
+  start (when) {
+    if (this._startFrame !== null) {
+      throw new Error('start() may only be called once')
+    }
+    this._startFrame = Math.round((when || 0) * this._sampleRate)
+  }
+
+  /**
+   * Schedule the end of playback. From then on, silence is emitted, any queued
+   * data is discarded and the node is closed.
+   * @param {number} [when=0] - Audio context time at which playback ends
+   */
+  stop (when) {
+    this._stopFrame = Math.round((when || 0) * this._sampleRate)
   }
 
-  get length () {
-    return this._it.length / this._channels
+  /**
+   * Pause playback. Queued data is kept and silence is emitted instead.
+   * @param {number} [fade] - Duration of the fade-out in seconds, defaults to the
+   *    `fadeDuration` option
+   */
+  pause (fade) {
+    this._fadeTo(0, fade, () => {
+      this._paused = true
+    })
   }
 
   /**
-   * Return the sample at the specified offset
-   * @param {number} i - The offset
-   * @returns {number} The sample
+   * Resume playback after it has been paused.
+   * @param {number} [fade] - Duration of the fade-in in seconds, defaults to the
+   *    `fadeDuration` option
    */
-  _get (i) {
-    return this._it[i]
+  resume (fade) {
+    this._fadeTo(1, fade)
+    this._paused = false
   }
 
   /**
-   * Copy some samples to the specified array.
-   * @param {Float32Array} to - The target array
-   * @param {number} toOffset - Offset into the target array
-   * @param {number} fromOffset - Offset into this array
-   * @param {number} length - Amount of samples to copy
+   * Drop all queued data, including the data currently playing.
+   * @param {number} [fade] - Duration of the fade-out in seconds, defaults to the
+   *    `fadeDuration` option
    */
-  _bulkCopy (to, toOffset, fromOffset, length) {
-    to.set(this._it.subarray(fromOffset, fromOffset + length), toOffset)
+  clear (fade) {
+    this._fadeTo(0, fade, () => {
+      this._dropAll()
+      if (this._jitterBuffer) {
+        this._buffering = true
+      }
+      this._gain = 1
+    })
   }
 
-  copyTo (to, toOffset, fromOffset, length) {
+  /**
+   * Alias of {@link BufferQueueNode#clear}.
+   * @param {number} [fade] - Duration of the fade-out in seconds
+   */
+  flush (fade) {
+    this.clear(fade)
+  }
+
+  /**
+   * Discard data from the head of the queue.
+   * @param {number} seconds - Duration of the data to discard in seconds
+   * @param {number} [fade] - Duration of the fade-out before and the fade-in after
+   *    skipping in seconds, defaults to the `fadeDuration` option. While paused,
+   *    playback stays silent until resumed.
+   */
+  skip (seconds, fade) {
+    this._fadeTo(0, fade, () => {
+      this._skip(toFrames(seconds, this._inputSampleRate))
+      this._releasePendingWrite()
+      if (!this._paused) {
+        this._fadeTo(1, fade)
+      }
+    })
+  }
+
+  /**
+   * Remember the most recently played sample-frames for concealment of underruns.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} from - Offset of the first played sample-frame
+   * @param {number} to - Offset after the last played sample-frame
+   */
+  _updateHistory (out, from, to) {
+    const history = this._history
+    const count = Math.min(to - from, history.length)
+    // Make room by moving older frames to the front
+    const kept = Math.min(this._historyLength, history.length - count)
     for (let channel = 0; channel < this._channels; channel++) {
-      const channelData = to.getChannelData(channel)
-      if (this._interleaved && this._channels > 1) {
-        // For interleaved data we have to copy every sample on its own
-        for (let i = 0; i < length; i++) {
-          const actualFromOffset = (fromOffset + i) * this._channels + channel
-          channelData[toOffset + i] = this._get(actualFromOffset)
+      const data = history.getChannelData(channel)
+      data.copyWithin(0, this._historyLength - kept, this._historyLength)
+      data.set(out.getChannelData(channel).subarray(to - count, to), kept)
+    }
+    this._historyLength = kept + count
+  }
+
+  /**
+   * Fill part of the output by continuing the most recently played sample-frames.
+   *
+   * The history is played backwards and forwards alternately (so there are no
+   * jumps where it repeats) while being attenuated to silence over the
+   * concealment duration.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} from - Offset of the first sample-frame to fill
+   * @param {number} to - Offset after the last sample-frame to fill
+   * @returns {number} Offset after the last concealed sample-frame
+   */
+  _conceal (out, from, to) {
+    const length = this._historyLength
+    if (length === 0) {
+      return from
+    }
+    const total = this._concealFrames
+    const count = Math.min(to - from, total - this._concealOffset)
+    const period = 2 * (length - 1)
+    for (let channel = 0; channel < this._channels; channel++) {
+      const history = this._history.getChannelData(channel)
+      const data = out.getChannelData(channel)
+      for (let i = 0; i < count; i++) {
+        const offset = this._concealOffset + i
+        const t = period > 0 ? (offset + 1) % period : 0
+        const index = t < length ? length - 1 - t : t - (length - 1)
+        data[from + i] = history[index] * (1 - (offset + 1) / total)
+      }
+    }
+    this._concealOffset += count
+    return from + count
+  }
+
+  /**
+   * Fade in data played after an underrun, crossfading with the concealment
+   * if it has not yet faded out.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} from - Offset of the first played sample-frame
+   * @param {number} to - Offset after the last played sample-frame
+   */
+  _fadeInAfterUnderrun (out, from, to) {
+    const fadeFrames = this._underrunFadeFrames
+    const count = Math.min(to - from, fadeFrames)
+    let concealment = null
+    if (this._concealOffset < this._concealFrames && this._historyLength > 0) {
+      concealment = this._getMixBuffer(this._channels, count)
+      this._conceal(concealment, 0, count)
+    }
+    for (let channel = 0; channel < this._channels; channel++) {
+      const data = out.getChannelData(channel)
+      const concealed = concealment && concealment.getChannelData(channel)
+      for (let i = 0; i < count; i++) {
+        const gain = (i + 1) / fadeFrames
+        data[from + i] *= gain
+        if (concealed) {
+          data[from + i] += concealed[i] * (1 - gain)
         }
-      } else {
-        // Otherwise we can do a bulk copy
-        const actualFromOffset = this.length * channel + fromOffset
-        this._bulkCopy(channelData, toOffset, actualFromOffset, length)
       }
     }
+    // Concealment ends with the crossfade
+    this._concealOffset = this._concealFrames
   }
-}
 
-/** @implements AudioBufferFormat */
-class Float32ArrayBuffer extends TypedArrayBuffer {
-  constructor (channels, interleaved, it) {
-    if (it instanceof Buffer) {
-      it = new Float32Array(it.buffer, it.byteOffset, it.byteLength / 4)
-    } else if (!(it instanceof Float32Array)) {
-      throw new Error('Unsupported buffer type: ' + it)
+  /**
+   * Start fading the output gain to the specified value.
+   *
+   * An action pending from a previous fade is run immediately.
+   * @param {number} target - The target gain, either 0 or 1
+   * @param {number} [fade] - Duration of the fade in seconds, defaults to the
+   *    `fadeDuration` option
+   * @param {function()} [action] - Called once the target has been reached
+   */
+  _fadeTo (target, fade, action) {
+    if (this._fade && this._fade.action) {
+      const pendingAction = this._fade.action
+      this._fade = null
+      pendingAction()
+    }
+    const frames = Math.round((fade == null ? this._fadeDuration : fade) * this._sampleRate)
+    if (frames <= 0 || this._gain === target) {
+      this._fade = null
+      this._gain = target
+      if (action) {
+        action()
+      }
+      return
+    }
+    this._fade = {
+      target: target,
+      remaining: frames,
+      step: (target - this._gain) / frames,
+      action: action
+    }
+  }
+
+  /**
+   * Apply the output gain (and the progress of a fade) to the output buffer.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} length - Amount of sample-frames at the start of the buffer
+   *    which are not silent
+   */
+  _applyFade (out, length) {
+    const fade = this._fade
+    let faded = 0
+    if (fade) {
+      // The fade progresses over the whole buffer, even if only silence is played
+      faded = Math.min(out.length, fade.remaining)
+      const count = Math.min(length, faded)
+      for (let channel = 0; channel < this._channels; channel++) {
+        const data = out.getChannelData(channel)
+        let gain = this._gain
+        for (let i = 0; i < count; i++) {
+          gain += fade.step
+          data[i] *= gain
+        }
+      }
+      fade.remaining -= faded
+      this._gain += fade.step * faded
+      if (fade.remaining === 0) {
+        this._fade = null
+        this._gain = fade.target
+        if (fade.action) {
+          fade.action()
+        }
+      }
+    }
+    const gain = this._gain
+    if (gain !== 1 && faded < length) {
+      for (let channel = 0; channel < this._channels; channel++) {
+        const data = out.getChannelData(channel)
+        for (let i = faded; i < length; i++) {
+          data[i] *= gain
+        }
+      }
+    }
+  }
+
+  /**
+   * Return statistics about the state of the queue and playback so far.
+   * @returns {BufferQueueStats} The statistics
+   */
+  getStats () {
+    return {
+      framesPlayed: this._stats.framesPlayed,
+      framesQueued: this._queuedFrames,
+      queuedDuration: this._queuedFrames / this._inputSampleRate,
+      underrunCount: this._stats.underrunCount,
+      silenceFrames: this._stats.silenceFrames,
+      playbackRate: this._playbackRate,
+      reorderedPackets: this._stats.reorderedPackets,
+      duplicatePackets: this._stats.duplicatePackets,
+      latePackets: this._stats.latePackets,
+      gapFrames: this._stats.gapFrames,
+      droppedFrames: this._stats.droppedFrames
+    }
+  }
+
+  /**
+   * Emit an event on the next tick, outside of audio processing.
+   * @param {string} event - Name of the event
+   * @param {...*} args - Arguments of the event
+   */
+  _emitAsync () {
+    const args = arguments
+    process.nextTick(() => this.emit.apply(this, args))
+  }
+
+  /**
+   * Discard all queued data.
+   */
+  _dropAll () {
+    this._dropFadeLength = 0
+    // The timeline of timestamped packets restarts with the next packet
+    this._reorderBuffer = []
+    this._nextTimestamp = null
+    this._releasedRanges = []
+    // `_lastQueued` is kept, as data written afterwards continues the input
+    this._historyLength = 0
+    this._concealOffset = this._concealFrames
+    this._queue = []
+    if (this._currentBuffer) {
+      this._endCurrentBuffer(true)
+    }
+    this._queuedFrames = 0
+    if (this._resampler) {
+      this._resampler.reset()
+    }
+    this._releasePendingWrite()
+  }
+
+  /**
+   * Read queued data at the sample rate of the audio context, resampling it if required.
+   * @param {AudioBuffer} out - The target buffer
+   * @param {number} offset - Offset into the target buffer
+   * @param {number} length - Maximum amount of sample-frames to produce
+   * @returns {number} Amount of sample-frames actually produced
+   */
+  _readOutput (out, offset, length) {
+    if (this._resampler) {
+      return this._resampler.process(out, offset, length, this._readCallback, this._shuttingDown)
+    }
+    return this._read(out, offset, length)
+  }
+
+  /**
+   * Discard the oldest queued data, so no more than the specified latency remains.
+   * If a crossfade is configured, its duration of the oldest data is kept aside
+   * to be faded out while the remaining data is faded in.
+   * @param {number} latency - Amount of sample-frames to keep
+   */
+  _dropStale (latency) {
+    const queuedFrames = this._queuedFrames
+    if (this._dropFadeBuffer) {
+      this._readingDropped = true
+      this._dropFadeLength = this._readOutput(this._dropFadeBuffer, 0, this._dropFadeBuffer.length)
+      this._readingDropped = false
+      this._dropFadeOffset = 0
+    }
+    this._skip(Math.max(0, this._queuedFrames - latency))
+    // Including the data kept aside for the crossfade
+    const dropped = queuedFrames - this._queuedFrames
+    this._stats.droppedFrames += dropped
+    this._emitAsync('drop', {
+      frames: dropped,
+      duration: dropped / this._inputSampleRate
+    })
+  }
+
+  /**
+   * Crossfade from the data kept aside when dropping stale data to the data
+   * following the dropped part.
+   * @param {AudioBuffer} out - The output buffer
+   * @param {number} from - Offset of the first sample-frame following the dropped part
+   * @param {number} to - Offset after the last sample-frame read
+   */
+  _crossfadeDropped (out, from, to) {
+    const fadeLength = this._dropFadeLength
+    const count = Math.min(to - from, fadeLength - this._dropFadeOffset)
+    for (let channel = 0; channel < this._channels; channel++) {
+      const data = out.getChannelData(channel)
+      const dropped = this._dropFadeBuffer.getChannelData(channel)
+      for (let i = 0; i < count; i++) {
+        const offset = this._dropFadeOffset + i
+        const gain = (offset + 1) / fadeLength
+        data[from + i] = data[from + i] * gain + dropped[offset] * (1 - gain)
+      }
+    }
+    this._dropFadeOffset += count
+  }
+
+  /**
+   * Discard sample-frames from the head of the queue.
+   * @param {number} length - Maximum amount of sample-frames to discard
+   * @returns {number} Amount of sample-frames actually discarded
+   */
+  _skip (length) {
+    return this._read(null, 0, length)
+  }
+
+  /**
+   * Read queued sample-frames.
+   * @param {?AudioBuffer} target - The target buffer, or null to discard the frames
+   * @param {number} offset - Offset into the target buffer
+   * @param {number} length - Maximum amount of sample-frames to read
+   * @returns {number} Amount of sample-frames actually read
+   */
+  _read (target, offset, length) {
+    // Data which is discarded (or only read to be faded out) is not played
+    const played = target !== null && !this._readingDropped
+    let read = 0
+    while (read < length) {
+      // If we don't have a current buffer but there are some in the queue
+      if (!this._currentBuffer) {
+        if (this._queue.length === 0) {
+          // No more data available
+          break
+        }
+        // Then get the next queued buffer from the queue
+        this._currentBuffer = this._queue.shift()
+        this._currentBufferOffset = 0
+      }
+      const currentBuffer = this._currentBuffer
+      if (played && !this._currentBufferStarted) {
+        this._currentBufferStarted = true
+        this._emitAsync('chunkstart', {
+          metadata: currentBuffer.metadata,
+          time: this._chunkTime(offset + read)
+        })
+      }
+      // Copy as much as possible
+      const remainingInput = currentBuffer.length - this._currentBufferOffset
+      const remaining = Math.min(length - read, remainingInput)
+      if (target) {
+        const channels = currentBuffer.numberOfChannels || this._channels
+        if (channels === this._channels) {
+          currentBuffer.copyTo(target, offset + read, this._currentBufferOffset, remaining)
+        } else {
+          // Copy to a buffer with matching channels and mix from there
+          const mixBuffer = this._getMixBuffer(channels, remaining)
+          currentBuffer.copyTo(mixBuffer, 0, this._currentBufferOffset, remaining)
+          const matrix = getMixingMatrix(channels, this._channels, this._channelInterpretation)
+          mix(matrix, mixBuffer, target, offset + read, remaining)
+        }
+      }
+      // Increase offsets
+      this._currentBufferOffset += remaining
+      read += remaining
+      this._queuedFrames -= remaining
+      if (played) {
+        this._stats.framesPlayed += remaining
+        this._currentBufferEndTime = this._chunkTime(offset + read - 1)
+      }
+      // Check if there is still data remaining in the current buffer
+      if (this._currentBufferOffset >= currentBuffer.length) {
+        this._endCurrentBuffer(!played)
+      }
+    }
+    return read
+  }
+
+  /**
+   * Stop reading from the current buffer, emitting its `'chunkend'` event if
+   * it has started playing.
+   * @param {boolean} dropped - Whether the rest of the buffer has been discarded
+   */
+  _endCurrentBuffer (dropped) {
+    if (this._currentBufferStarted) {
+      this._emitAsync('chunkend', {
+        metadata: this._currentBuffer.metadata,
+        time: this._currentBufferEndTime,
+        dropped: dropped
+      })
+    }
+    this._currentBuffer = null
+    this._currentBufferStarted = false
+  }
+
+  /**
+   * Return the audio context time at which a frame read in the current render is played.
+   * @param {number} offset - Offset of the frame in the target of the current read
+   * @returns {number} The time
+   */
+  _chunkTime (offset) {
+    // The target is the resampler's input, if resampling
+    const frame = this._resampler ? this._resampler.outputOffsetOf(offset) : offset
+    return this._renderTime + frame / this._sampleRate
+  }
+
+  /**
+   * Return a buffer for data which has to be mixed.
+   * @param {number} channels - Number of channels
+   * @param {number} length - Minimum length in sample-frames
+   * @returns {ChannelBuffer} The buffer
+   */
+  _getMixBuffer (channels, length) {
+    const mixBuffer = this._mixBuffer
+    if (!mixBuffer || mixBuffer.numberOfChannels !== channels || mixBuffer.length < length) {
+      this._mixBuffer = new ChannelBuffer(channels, Math.max(length, mixBuffer ? mixBuffer.length : 0))
+    }
+    return this._mixBuffer
+  }
+
+  _write (chunk, encoding, callback) {
+    if (this._wavParser) {
+      const parser = this._wavParser
+      const configured = parser.inData
+      try {
+        chunk = parser.push(chunk)
+      } catch (err) {
+        callback(err)
+        return
+      }
+      if (!configured && parser.inData) {
+        this._configureWav(parser.format)
+      }
+      if (chunk.length === 0) {
+        callback(null)
+        return
+      }
+    }
+    let Format = this._dataType
+    let channels = this._inputChannels
+    let metadata
+    let timestamp
+    if (this._objectMode && chunk && Object.getPrototypeOf(chunk) === Object.prototype && 'data' in chunk) {
+      // Chunk with its own number of channels, metadata and/or timestamp
+      if (typeof chunk.channels === 'number') {
+        channels = chunk.channels
+      }
+      metadata = chunk.metadata
+      timestamp = chunk.timestamp
+      chunk = chunk.data
+    }
+    if (this._frameSize) {
+      chunk = this._alignFrames(chunk)
+      if (chunk.length === 0) {
+        callback(null)
+        return
+      }
+    } else if (this._objectMode) {
+      Format = formats.detectFormat(chunk)
+      if (!Format) {
+        callback(new Error('Unsupported chunk type: ' + chunk))
+        return
+      }
+    } else if (Format.bytesPerSample && chunk.length % (Format.bytesPerSample * channels) !== 0) {
+      // Planar data cannot be carried over to the next chunk, as the channels follow each other
+      callback(new Error('Chunk does not contain whole sample-frames'))
+      return
+    }
+    try {
+      chunk = new Format(channels, this._interleaved, chunk)
+    } catch (err) {
+      callback(err)
+      return
+    }
+    if (chunk.length % 1 !== 0) {
+      callback(new Error('Chunk does not contain whole sample-frames'))
+      return
+    }
+    if (chunk.sampleRate !== undefined && chunk.sampleRate !== this._inputSampleRate) {
+      callback(new Error('Sample rate of chunk (' + chunk.sampleRate + ') differs from input sample rate (' +
+        this._inputSampleRate + ')'))
+      return
+    }
+    if (metadata !== undefined) {
+      chunk.metadata = metadata
+    }
+    if (typeof timestamp === 'number') {
+      this._queuePacket(chunk, timestamp)
+    } else {
+      this._enqueue(chunk)
+    }
+    this._pendingWriteCallback = callback
+    this._releasePendingWrite()
+  }
+
+  /**
+   * Append a chunk to the queue.
+   * @param {AudioBufferFormat} chunk - The chunk
+   */
+  _enqueue (chunk) {
+    if (typeof chunk.continueFrom === 'function') {
+      chunk.continueFrom(this._lastQueued)
+    }
+    this._lastQueued = chunk
+    this._queue.push(chunk)
+    this._queuedFrames += chunk.length
+    this._drained = false
+    if (this._nextTimestamp !== null) {
+      this._nextTimestamp += chunk.length
+    }
+  }
+
+  /**
+   * Queue a timestamped chunk, reordering it within the reorder window.
+   * @param {AudioBufferFormat} chunk - The chunk
+   * @param {number} timestamp - Position of the chunk's first sample-frame in the input
+   */
+  _queuePacket (chunk, timestamp) {
+    if (this._nextTimestamp !== null && timestamp < this._nextTimestamp) {
+      this._rejectPacket(chunk, timestamp)
+      return
+    }
+    // Keep the reorder buffer sorted by timestamp
+    const packets = this._reorderBuffer
+    let index = packets.length
+    while (index > 0 && packets[index - 1].timestamp > timestamp) {
+      index--
+    }
+    if (index > 0 && packets[index - 1].timestamp === timestamp) {
+      this._rejectDuplicatePacket(timestamp)
+      return
+    }
+    if (index < packets.length) {
+      this._stats.reorderedPackets++
+      this._emitAsync('reorder', { timestamp: timestamp })
+    }
+    packets.splice(index, 0, { chunk: chunk, timestamp: timestamp })
+    this._releasePackets(0)
+  }
+
+  /**
+   * Discard a packet overlapping data which has already been queued, either as a
+   * duplicate of a released packet or as arriving after its playout time.
+   * @param {AudioBufferFormat} chunk - The chunk
+   * @param {number} timestamp - Timestamp of the chunk
+   */
+  _rejectPacket (chunk, timestamp) {
+    const released = this._releasedRanges.some((range) => {
+      return timestamp >= range.start && timestamp < range.end
+    })
+    if (released) {
+      this._rejectDuplicatePacket(timestamp)
+    } else {
+      this._stats.latePackets++
+      this._emitAsync('late', { timestamp: timestamp, frames: chunk.length })
     }
-    super(channels, interleaved, it)
   }
-}
 
-/** @implements AudioBufferFormat */
-class Int16ArrayBuffer extends TypedArrayBuffer {
-  constructor (channels, interleaved, it) {
-    if (it instanceof Buffer) {
-      it = new Int16Array(it.buffer, it.byteOffset, it.byteLength / 2)
-    } else if (!(it instanceof Int16Array)) {
-      throw new Error('Unsupported buffer type: ' + it)
+  /**
+   * Discard a packet which has been received before.
+   * @param {number} timestamp - Timestamp of the packet
+   */
+  _rejectDuplicatePacket (timestamp) {
+    this._stats.duplicatePackets++
+    this._emitAsync('duplicate', { timestamp: timestamp })
+  }
+
+  /**
+   * Move packets from the reorder buffer to the queue for as long as they are
+   * contiguous. A gap is filled once the buffered packets span more than the
+   * reorder window (or if allowed explicitly). The first packets are held back
+   * in the same way until the timeline starts.
+   * @param {number} gaps - Amount of gaps which are filled regardless of the window
+   */
+  _releasePackets (gaps) {
+    const packets = this._reorderBuffer
+    if (this._nextTimestamp === null && packets.length > 0) {
+      // The first packets may be reordered as well, so the timeline only starts
+      // at the earliest of them once they span more than the reorder window
+      const last = packets[packets.length - 1]
+      const span = last.timestamp + last.chunk.length - packets[0].timestamp
+      if (gaps <= 0 && span <= this._reorderWindow) {
+        return
+      }
+      this._nextTimestamp = packets[0].timestamp
+    }
+    while (packets.length > 0) {
+      const packet = packets[0]
+      if (packet.timestamp > this._nextTimestamp) {
+        const last = packets[packets.length - 1]
+        const span = last.timestamp + last.chunk.length - this._nextTimestamp
+        if (gaps <= 0 && span <= this._reorderWindow) {
+          break
+        }
+        gaps--
+        this._fillGap(packet.timestamp - this._nextTimestamp)
+      }
+      packets.shift()
+      if (packet.timestamp < this._nextTimestamp) {
+        // Overlaps data which has already been queued
+        this._rejectPacket(packet.chunk, packet.timestamp)
+        continue
+      }
+      this._lastPacket = packet.chunk
+      this._addReleasedRange(packet.timestamp, packet.chunk.length)
+      this._enqueue(packet.chunk)
     }
-    super(channels, interleaved, it)
   }
 
-  /** @see TypedArrayBuffer#_get */
-  _get (i) {
-    const val = this._it[i]
-    return val / ((1 << 15) - (val > 0 ? 1 : 0))
+  /**
+   * Remember the timestamps of a released packet. Contiguous packets are merged
+   * into one range, so only the packets between the most recent gaps are kept.
+   * @param {number} timestamp - Timestamp of the packet
+   * @param {number} length - Length of the packet in sample-frames
+   */
+  _addReleasedRange (timestamp, length) {
+    const ranges = this._releasedRanges
+    const last = ranges[ranges.length - 1]
+    if (last && last.end === timestamp) {
+      last.end += length
+      return
+    }
+    ranges.push({ start: timestamp, end: timestamp + length })
+    if (ranges.length > MAX_RELEASED_RANGES) {
+      ranges.shift()
+    }
   }
 
-  /** @see TypedArrayBuffer#_bulkCopy */
-  _bulkCopy (to, toOffset, fromOffset, length) {
-    for (let i = 0; i < length; i++) {
-      to[toOffset + i] = this._get(fromOffset + i)
+  /**
+   * Queue silence or concealment for missing input.
+   * @param {number} length - Amount of missing sample-frames
+   */
+  _fillGap (length) {
+    this._stats.gapFrames += length
+    this._emitAsync('gap', { timestamp: this._nextTimestamp, frames: length })
+    if (this._gapFill === 'conceal' && this._lastPacket) {
+      this._enqueue(new ConcealmentChunk(this._lastPacket, length, this._gapConcealmentFrames))
+    } else {
+      this._enqueue(new SilenceChunk(length))
+    }
+  }
+
+  /**
+   * Configure the input format from the header of a WAVE stream.
+   * @param {WavFormat} format - The format
+   */
+  _configureWav (format) {
+    this._dataType = format.dataType
+    this._interleaved = true
+    this._inputChannels = format.channels
+    this._frameSize = format.dataType.bytesPerSample * format.channels
+    if (this._wavSampleRate && format.sampleRate !== this._inputSampleRate) {
+      this._inputSampleRate = format.sampleRate
+      this._convertInputDurations()
+      this._resampler = null
+      if (format.sampleRate !== this._sampleRate || this._driftCompensation) {
+        this._resampler = new Resampler(this._channels, format.sampleRate, this._sampleRate, this._resampleQuality)
+      }
+    }
+  }
+
+  /**
+   * Convert the durations passed as options to sample-frames at the input sample rate.
+   */
+  _convertInputDurations () {
+    const options = this._durationOptions
+    const sampleRate = this._inputSampleRate
+    this._queueHighWaterMark = toFrames(options.queueHighWaterMark, sampleRate)
+    this._reorderWindow = toFrames(options.reorderWindow, sampleRate)
+    this._gapConcealmentFrames = toFrames(options.concealmentDuration, sampleRate)
+    this._maxLatency = toFrames(options.maxLatency, sampleRate)
+    if (this._driftCompensation) {
+      this._driftCompensation.targetLatency = toFrames(options.driftCompensation.targetLatency, sampleRate)
+    }
+    const jitterBuffer = this._jitterBuffer
+    if (jitterBuffer) {
+      const jitterBufferOptions = options.jitterBuffer
+      jitterBuffer.targetLatency = toFrames(jitterBufferOptions.targetLatency, sampleRate)
+      jitterBuffer.minFill = jitterBufferOptions.minFill == null ? jitterBuffer.targetLatency
+        : toFrames(jitterBufferOptions.minFill, sampleRate)
+      jitterBuffer.maxLatency = jitterBufferOptions.maxLatency == null ? 3 * jitterBuffer.targetLatency
+        : toFrames(jitterBufferOptions.maxLatency, sampleRate)
+    }
+  }
+
+  /**
+   * Prepend the incomplete sample-frame of the last chunk and keep back the one
+   * at the end of this chunk.
+   * @param {Buffer} chunk - The chunk
+   * @returns {Buffer} The complete sample-frames
+   */
+  _alignFrames (chunk) {
+    if (this._partialFrame) {
+      chunk = Buffer.concat([this._partialFrame, chunk])
+      this._partialFrame = null
+    }
+    const remainder = chunk.length % this._frameSize
+    if (remainder > 0) {
+      const end = chunk.length - remainder
+      // Copy, as the writer may reuse its buffer
+      this._partialFrame = Buffer.from(chunk.slice(end))
+      chunk = chunk.slice(0, end)
+    }
+    return chunk
+  }
+
+  /**
+   * Call the callback of the last write if the queue is below its high water mark
+   * or the jitter buffer is still filling up (which might require more data than
+   * the high water mark allows).
+   */
+  _releasePendingWrite () {
+    const callback = this._pendingWriteCallback
+    if (callback && (this._queuedFrames < this._queueHighWaterMark || this._buffering)) {
+      this._pendingWriteCallback = null
+      callback(null)
     }
   }
 }
 
-BufferQueueNode.AudioBuffer = AudioBufferBuffer
-BufferQueueNode.Float32Array = Float32ArrayBuffer
-BufferQueueNode.Int16Array = Int16ArrayBuffer
+// Maximum of AudioNode#channelCount, as required of implementations of the Web Audio API
+const MAX_CHANNEL_COUNT = 32
+
+// Values of AudioNode#channelCountMode
+const CHANNEL_COUNT_MODES = ['max', 'clamped-max', 'explicit']
+
+// Duration of the most recently played audio repeated for concealment, in seconds
+const CONCEALMENT_HISTORY_DURATION = 0.01
+
+/**
+ * Statistics returned by {@link BufferQueueNode#getStats}.
+ *
+ * @typedef {Object} BufferQueueStats
+ * @property {number} framesPlayed - Amount of sample-frames taken from the queue
+ *    for playback (excluding dropped ones)
+ * @property {number} framesQueued - Amount of sample-frames currently queued
+ * @property {number} queuedDuration - Duration of the queued audio in seconds
+ * @property {number} underrunCount - How often the queue ran dry during playback
+ * @property {number} silenceFrames - Amount of sample-frames (at the sample rate of
+ *    the audio context) filled with silence (or concealment) due to lack of data
+ * @property {number} playbackRate - Current playback rate, see
+ *    {@link BufferQueueNode#playbackRate}
+ * @property {number} reorderedPackets - Amount of timestamped packets which arrived
+ *    before a packet preceding them
+ * @property {number} duplicatePackets - Amount of timestamped packets discarded as
+ *    duplicates of a packet waiting in the reorder buffer or already queued
+ * @property {number} latePackets - Amount of timestamped packets discarded as they
+ *    arrived after their playout time
+ * @property {number} gapFrames - Amount of sample-frames (of the input) filled with
+ *    silence or concealment due to missing packets
+ * @property {number} droppedFrames - Amount of sample-frames (of the input) dropped
+ *    as they exceeded the maximum latency (of the latency cap or jitter buffer)
+ */
+
+BufferQueueNode.AudioBuffer = formats.AudioBufferBuffer
+BufferQueueNode.Float32Array = formats.Float32ArrayBuffer
+BufferQueueNode.Float32ArrayLE = formats.Float32ArrayBufferLE
+BufferQueueNode.Float32ArrayBE = formats.Float32ArrayBufferBE
+BufferQueueNode.Float64Array = formats.Float64ArrayBuffer
+BufferQueueNode.Float64ArrayLE = formats.Float64ArrayBufferLE
+BufferQueueNode.Float64ArrayBE = formats.Float64ArrayBufferBE
+BufferQueueNode.Uint8Array = formats.Uint8ArrayBuffer
+BufferQueueNode.Int8Array = formats.Int8ArrayBuffer
+BufferQueueNode.Int16Array = formats.Int16ArrayBuffer
+BufferQueueNode.Int16ArrayLE = formats.Int16ArrayBufferLE
+BufferQueueNode.Int16ArrayBE = formats.Int16ArrayBufferBE
+BufferQueueNode.Int24Array = formats.Int24ArrayBuffer
+BufferQueueNode.Int24ArrayLE = formats.Int24ArrayBufferLE
+BufferQueueNode.Int24ArrayBE = formats.Int24ArrayBufferBE
+BufferQueueNode.Int32Array = formats.Int32ArrayBuffer
+BufferQueueNode.Int32ArrayLE = formats.Int32ArrayBufferLE
+BufferQueueNode.Int32ArrayBE = formats.Int32ArrayBufferBE
+BufferQueueNode.MuLaw = formats.MuLawBuffer
+BufferQueueNode.ALaw = formats.ALawBuffer
+BufferQueueNode.ImaAdpcm = formats.ImaAdpcmBuffer
+BufferQueueNode.registerFormat = formats.registerFormat
+BufferQueueNode.WORKLET_PROCESSOR_SOURCE = WORKLET_PROCESSOR_SOURCE
+BufferQueueNode.CaptureNode = BufferCaptureNode
 export default BufferQueueNode
@@ -0,0 +1,101 @@
+const SQRT_HALF = Math.sqrt(0.5)
+
+// Speaker layouts as defined by the Web Audio API, channel names in order
+const LAYOUTS = {
+  1: ['M'],
+  2: ['L', 'R'],
+  4: ['L', 'R', 'SL', 'SR'],
+  6: ['L', 'R', 'C', 'LFE', 'SL', 'SR']
+}
+
+// Down-mixing coefficients for speaker layouts, by input and output channel count.
+// Each entry maps an output channel to the weights of the input channels.
+const DOWN_MIX = {
+  '2-1': { M: { L: 0.5, R: 0.5 } },
+  '4-1': { M: { L: 0.25, R: 0.25, SL: 0.25, SR: 0.25 } },
+  '6-1': { M: { L: SQRT_HALF, R: SQRT_HALF, C: 1, SL: 0.5, SR: 0.5 } },
+  '4-2': { L: { L: 0.5, SL: 0.5 }, R: { R: 0.5, SR: 0.5 } },
+  '6-2': { L: { L: 1, C: SQRT_HALF, SL: SQRT_HALF }, R: { R: 1, C: SQRT_HALF, SR: SQRT_HALF } },
+  '6-4': { L: { L: 1, C: SQRT_HALF }, R: { R: 1, C: SQRT_HALF }, SL: { SL: 1 }, SR: { SR: 1 } }
+}
+
+// Up-mixing rules deviating from matching channels by name, by input and output channel count
+const UP_MIX = {
+  '1-2': { L: { M: 1 }, R: { M: 1 } },
+  '1-4': { L: { M: 1 }, R: { M: 1 } },
+  '1-6': { C: { M: 1 } }
+}
+
+const matrixCache = {}
+
+/**
+ * Return the matrix for mixing between the specified channel counts.
+ *
+ * Follows the mixing rules of the Web Audio API: With the `'speakers'`
+ * interpretation, the known speaker layouts (mono, stereo, quad and 5.1) are
+ * up- or down-mixed accordingly. All other combinations, as well as the
+ * `'discrete'` interpretation, keep the channels by index, filling missing
+ * ones with silence and dropping surplus ones.
+ * @param {number} inputChannels - Number of input channels
+ * @param {number} outputChannels - Number of output channels
+ * @param {string} [interpretation='speakers'] - Either `'speakers'` or `'discrete'`
+ * @returns {number[][]} The weight of every input channel for every output channel
+ */
+export function getMixingMatrix (inputChannels, outputChannels, interpretation) {
+  interpretation = interpretation || 'speakers'
+  if (interpretation !== 'speakers' && interpretation !== 'discrete') {
+    throw new Error('Unsupported channel interpretation: ' + interpretation)
+  }
+  const key = inputChannels + '-' + outputChannels
+  const cacheKey = interpretation + ':' + key
+  if (matrixCache[cacheKey]) {
+    return matrixCache[cacheKey]
+  }
+  const matrix = []
+  const inputLayout = LAYOUTS[inputChannels]
+  const outputLayout = LAYOUTS[outputChannels]
+  const rules = interpretation === 'speakers' && inputLayout && outputLayout
+    ? (DOWN_MIX[key] || UP_MIX[key] || {})
+    : null
+  for (let output = 0; output < outputChannels; output++) {
+    const weights = []
+    for (let input = 0; input < inputChannels; input++) {
+      if (!rules) {
+        weights.push(input === output ? 1 : 0)
+      } else if (rules[outputLayout[output]]) {
+        weights.push(rules[outputLayout[output]][inputLayout[input]] || 0)
+      } else {
+        weights.push(outputLayout[output] === inputLayout[input] ? 1 : 0)
+      }
+    }
+    matrix.push(weights)
+  }
+  matrixCache[cacheKey] = matrix
+  return matrix
+}
+
+/**
+ * Mix sample-frames from one buffer into another.
+ * @param {number[][]} matrix - Mixing matrix, see {@link getMixingMatrix}
+ * @param {AudioBuffer} from - The source buffer, read from its start
+ * @param {AudioBuffer} to - The target buffer
+ * @param {number} toOffset - Offset into the target buffer
+ * @param {number} length - Amount of sample-frames to mix
+ */
+export function mix (matrix, from, to, toOffset, length) {
+  for (let output = 0; output < matrix.length; output++) {
+    const target = to.getChannelData(output)
+    const weights = matrix[output]
+    target.fill(0, toOffset, toOffset + length)
+    for (let input = 0; input < weights.length; input++) {
+      const weight = weights[input]
+      if (weight === 0) {
+        continue
+      }
+      const source = from.getChannelData(input)
+      for (let i = 0; i < length; i++) {
+        target[toOffset + i] += source[i] * weight
+      }
+    }
+  }
+}
@@ -0,0 +1,240 @@
+import ChannelBuffer from './channel-buffer'
+
+// Number of zero crossings on each side of the windowed-sinc kernel
+const SINC_ZERO_CROSSINGS = 16
+// Number of precomputed kernel values between two zero crossings
+const SINC_RESOLUTION = 256
+
+var sincTable = null
+
+/**
+ * Return the (lazily computed) table of Blackman-windowed sinc values.
+ * Entry `i` holds the kernel value at `x = i / SINC_RESOLUTION`.
+ * @returns {Float32Array} The kernel table
+ */
+function getSincTable () {
+  if (!sincTable) {
+    const length = SINC_ZERO_CROSSINGS * SINC_RESOLUTION
+    sincTable = new Float32Array(length + 2)
+    sincTable[0] = 1
+    for (let i = 1; i <= length; i++) {
+      const x = i / SINC_RESOLUTION
+      const sinc = Math.sin(Math.PI * x) / (Math.PI * x)
+      const t = Math.PI * (x / SINC_ZERO_CROSSINGS + 1)
+      const window = 0.42 - 0.5 * Math.cos(t) + 0.08 * Math.cos(2 * t)
+      sincTable[i] = sinc * window
+    }
+  }
+  return sincTable
+}
+
+/**
+ * Streaming sample rate converter.
+ *
+ * Input is pulled on demand and kept between calls, so consecutive calls to
+ * {@link Resampler#process} yield one continuous signal regardless of how the
+ * input is split into chunks.
+ */
+class Resampler {
+  /**
+   * Create a Resampler.
+   * @param {number} channels - Number of channels
+   * @param {number} inputSampleRate - Sample rate of the input
+   * @param {number} outputSampleRate - Sample rate of the output
+   * @param {string} [quality='linear'] - Either `'linear'` or `'sinc'`
+   */
+  constructor (channels, inputSampleRate, outputSampleRate, quality) {
+    quality = quality || 'linear'
+    // Input frames per output frame, at the nominal and the current rate
+    this._baseRatio = inputSampleRate / outputSampleRate
+    this._ratio = this._baseRatio
+    this._channels = channels
+    if (quality === 'linear') {
+      this._before = 1
+      this._after = 1
+    } else if (quality === 'sinc') {
+      // Lower the cut-off frequency when downsampling to prevent aliasing
+      this._cutoff = Math.min(1, 1 / this._ratio)
+      this._before = this._after = Math.ceil(SINC_ZERO_CROSSINGS / this._cutoff)
+      this._table = getSincTable()
+    } else {
+      throw new Error('Unsupported resampling quality: ' + quality)
+    }
+    this._quality = quality
+    // Input frames, starting with the history required by the kernel
+    this._input = new ChannelBuffer(channels, 0)
+    this.reset()
+  }
+
+  /**
+   * Discard all buffered input.
+   */
+  reset () {
+    this._inputLength = this._before - 1
+    this._ensureCapacity(this._inputLength)
+    for (let channel = 0; channel < this._channels; channel++) {
+      this._input.getChannelData(channel).fill(0, 0, this._inputLength)
+    }
+    // Position of the next output frame in the input
+    this._position = this._before - 1
+    // Whether the input has been padded with silence to flush out the last frames
+    this._flushed = false
+    // Offset into the output at which the next output frame is written
+    this._outputOffset = 0
+  }
+
+  /**
+   * Change how fast the input is consumed, e.g. to compensate for clock drift.
+   * @param {number} rate - Factor by which the input is sped up (above 1) or
+   *    slowed down (below 1)
+   */
+  setRate (rate) {
+    this._ratio = this._baseRatio * rate
+  }
+
+  /**
+   * Return the offset into the output of the current {@link Resampler#process}
+   * call at which an input frame is played.
+   * @param {number} inputOffset - Offset of the frame in the input passed to `read`
+   * @returns {number} Offset into the output, may exceed the output's length
+   */
+  outputOffsetOf (inputOffset) {
+    return this._outputOffset + Math.max(0, (inputOffset - this._position) / this._ratio)
+  }
+
+  /**
+   * Produce resampled frames.
+   * @param {AudioBuffer} out - Target buffer
+   * @param {number} outOffset - Offset into the target buffer
+   * @param {number} length - Amount of sample-frames to produce
+   * @param {function(ChannelBuffer, number, number): number} read - Called to read
+   *    more input, has to return the amount of sample-frames read
+   * @param {boolean} [flush=false] - Whether no more input will follow and any
+   *    input held back by the kernel should be emitted
+   * @returns {number} Amount of sample-frames produced, less than `length`
+   *    only if the input ran out
+   */
+  process (out, outOffset, length, read, flush) {
+    let produced = 0
+    while (produced < length) {
+      const available = this._available()
+      if (available > 0) {
+        const count = Math.min(available, length - produced)
+        this._interpolate(out, outOffset + produced, count)
+        produced += count
+        continue
+      }
+      // Need more input
+      this._compact()
+      this._outputOffset = outOffset + produced
+      const wanted = Math.ceil((length - produced) * this._ratio) + this._after + 1
+      this._ensureCapacity(this._inputLength + wanted)
+      const count = read(this._input, this._inputLength, wanted)
+      this._inputLength += count
+      if (count === 0) {
+        if (!flush || this._flushed) {
+          break
+        }
+        // Pad with silence, so the last input frames can be interpolated
+        this._flushed = true
+        this._ensureCapacity(this._inputLength + this._after)
+        for (let channel = 0; channel < this._channels; channel++) {
+          this._input.getChannelData(channel).fill(0, this._inputLength, this._inputLength + this._after)
+        }
+        this._inputLength += this._after
+      }
+    }
+    return produced
+  }
+
+  /**
+   * Return the number of output frames which can be produced from the buffered input.
+   * @returns {number} Amount of sample-frames
+   */
+  _available () {
+    const end = this._inputLength - this._after
+    if (this._position >= end) {
+      return 0
+    }
+    return Math.ceil((end - this._position) / this._ratio)
+  }
+
+  /**
+   * Drop input frames which are no longer required.
+   */
+  _compact () {
+    const start = Math.floor(this._position) - (this._before - 1)
+    if (start <= 0) {
+      return
+    }
+    for (let channel = 0; channel < this._channels; channel++) {
+      const data = this._input.getChannelData(channel)
+      data.copyWithin(0, start, this._inputLength)
+    }
+    this._inputLength -= start
+    this._position -= start
+  }
+
+  /**
+   * Grow the input buffer to hold at least the specified amount of frames.
+   * @param {number} capacity - Required capacity in sample-frames
+   */
+  _ensureCapacity (capacity) {
+    if (this._input.length >= capacity) {
+      return
+    }
+    const input = new ChannelBuffer(this._channels, Math.max(capacity, this._input.length * 2))
+    for (let channel = 0; channel < this._channels; channel++) {
+      input.copyToChannel(this._input.getChannelData(channel).subarray(0, this._inputLength), channel, 0)
+    }
+    this._input = input
+  }
+
+  /**
+   * Compute output frames from the buffered input.
+   * @param {AudioBuffer} out - Target buffer
+   * @param {number} outOffset - Offset into the target buffer
+   * @param {number} length - Amount of sample-frames, must not exceed the available frames
+   */
+  _interpolate (out, outOffset, length) {
+    const ratio = this._ratio
+    for (let channel = 0; channel < this._channels; channel++) {
+      const input = this._input.getChannelData(channel)
+      const output = out.getChannelData(channel)
+      let position = this._position
+      if (this._quality === 'linear') {
+        for (let i = 0; i < length; i++) {
+          const index = Math.floor(position)
+          const fraction = position - index
+          const a = input[index]
+          output[outOffset + i] = a + (input[index + 1] - a) * fraction
+          position += ratio
+        }
+      } else {
+        const table = this._table
+        const cutoff = this._cutoff
+        const width = this._before
+        const step = cutoff * SINC_RESOLUTION
+        const limit = SINC_ZERO_CROSSINGS * SINC_RESOLUTION
+        for (let i = 0; i < length; i++) {
+          const index = Math.floor(position)
+          let sum = 0
+          for (let j = index - width + 1; j <= index + width; j++) {
+            const x = Math.abs(position - j) * step
+            if (x >= limit) {
+              continue
+            }
+            const k = Math.floor(x)
+            const weight = table[k] + (table[k + 1] - table[k]) * (x - k)
+            sum += input[j] * weight
+          }
+          output[outOffset + i] = sum * cutoff
+          position += ratio
+        }
+      }
+    }
+    this._position += ratio * length
+  }
+}
+
+export default Resampler
@@ -0,0 +1,178 @@
+import * as formats from './formats'
+
+// WAVE format tags
+const WAVE_FORMAT_PCM = 0x0001
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE
+
+// Formats of PCM and IEEE float data by bits per sample
+const PCM_FORMATS = {
+  8: formats.Uint8ArrayBuffer,
+  16: formats.Int16ArrayBufferLE,
+  24: formats.Int24ArrayBufferLE,
+  32: formats.Int32ArrayBufferLE
+}
+const FLOAT_FORMATS = {
+  32: formats.Float32ArrayBufferLE,
+  64: formats.Float64ArrayBufferLE
+}
+
+const EMPTY = Buffer.alloc(0)
+
+/**
+ * Format of the audio data in a WAVE stream.
+ *
+ * @typedef {Object} WavFormat
+ * @property {AudioBufferFormat} dataType - Format of the (interleaved) samples
+ * @property {number} channels - Number of channels
+ * @property {number} sampleRate - Sample rate
+ */
+
+/**
+ * Parse the content of a `fmt ` chunk.
+ * @param {Buffer} bytes - The chunk's content
+ * @returns {WavFormat} The format
+ */
+function parseFormat (bytes) {
+  if (bytes.length < 16) {
+    throw new Error('Invalid WAVE fmt chunk')
+  }
+  let tag = bytes.readUInt16LE(0)
+  const channels = bytes.readUInt16LE(2)
+  const sampleRate = bytes.readUInt32LE(4)
+  const bits = bytes.readUInt16LE(14)
+  if (tag === WAVE_FORMAT_EXTENSIBLE && bytes.length >= 26) {
+    // The actual format tag is the start of the sub-format GUID
+    tag = bytes.readUInt16LE(24)
+  }
+  let dataType = null
+  if (tag === WAVE_FORMAT_PCM) {
+    dataType = PCM_FORMATS[bits]
+  } else if (tag === WAVE_FORMAT_IEEE_FLOAT) {
+    dataType = FLOAT_FORMATS[bits]
+  }
+  if (!dataType) {
+    throw new Error('Unsupported WAVE encoding: format 0x' + tag.toString(16) + ' with ' + bits + ' bits')
+  }
+  if (channels === 0) {
+    throw new Error('Invalid WAVE fmt chunk: no channels')
+  }
+  return {
+    dataType: dataType,
+    channels: channels,
+    sampleRate: sampleRate
+  }
+}
+
+/**
+ * Incremental parser of RIFF/WAVE streams.
+ *
+ * Bytes are fed as they arrive and the audio data is returned once the header
+ * has been parsed. Chunks other than `fmt ` and `data` are skipped, as is
+ * anything following the `data` chunk (unless its size is unknown).
+ */
+export class WavParser {
+  constructor () {
+    /**
+     * Format of the audio data, once the `fmt ` chunk has been parsed.
+     * @type {?WavFormat}
+     */
+    this.format = null
+    // Bytes of the header which could not be parsed yet
+    this._pending = null
+    // Part of the stream being parsed: 'riff', 'chunk' or 'data'
+    this._state = 'riff'
+    // Amount of bytes still to be skipped
+    this._skip = 0
+    // Amount of bytes of the data chunk still to be read
+    this._remaining = 0
+  }
+
+  /**
+   * Whether the start of the audio data has been reached.
+   * @type {boolean}
+   */
+  get inData () {
+    return this._state === 'data'
+  }
+
+  /**
+   * Parse the next bytes of the stream.
+   * @param {Buffer} bytes - The bytes
+   * @returns {Buffer} The audio data contained in the bytes, may be empty
+   * @throws {Error} If the stream is not a valid or supported WAVE stream
+   */
+  push (bytes) {
+    if (this._state === 'data') {
+      return this._takeData(bytes)
+    }
+    if (this._pending) {
+      bytes = Buffer.concat([this._pending, bytes])
+      this._pending = null
+    }
+    let offset = 0
+    while (this._state !== 'data') {
+      if (this._skip > 0) {
+        const count = Math.min(this._skip, bytes.length - offset)
+        this._skip -= count
+        offset += count
+        if (this._skip > 0) {
+          return EMPTY
+        }
+      } else if (this._state === 'riff') {
+        if (bytes.length - offset < 12) {
+          break
+        }
+        if (bytes.toString('ascii', offset, offset + 4) !== 'RIFF' ||
+            bytes.toString('ascii', offset + 8, offset + 12) !== 'WAVE') {
+          throw new Error('Not a RIFF/WAVE stream')
+        }
+        offset += 12
+        this._state = 'chunk'
+      } else {
+        if (bytes.length - offset < 8) {
+          break
+        }
+        const id = bytes.toString('ascii', offset, offset + 4)
+        const size = bytes.readUInt32LE(offset + 4)
+        if (id === 'fmt ') {
+          if (bytes.length - offset < 8 + size) {
+            break
+          }
+          this.format = parseFormat(bytes.slice(offset + 8, offset + 8 + size))
+          offset += 8 + size
+          // Chunks are padded to an even size
+          this._skip = size & 1
+        } else if (id === 'data') {
+          if (!this.format) {
+            throw new Error('WAVE data chunk before fmt chunk')
+          }
+          offset += 8
+          // Streamed files may not know the size of their data up front
+          this._remaining = size === 0 || size === 0xFFFFFFFF ? Infinity : size
+          this._state = 'data'
+        } else {
+          offset += 8
+          this._skip = size + (size & 1)
+        }
+      }
+    }
+    if (this._state !== 'data') {
+      // Copy, as the writer may reuse its buffer
+      this._pending = Buffer.from(bytes.slice(offset))
+      return EMPTY
+    }
+    return this._takeData(bytes.slice(offset))
+  }
+
+  /**
+   * Return the part of the bytes belonging to the data chunk.
+   * @param {Buffer} bytes - The bytes
+   * @returns {Buffer} The audio data
+   */
+  _takeData (bytes) {
+    const count = Math.min(this._remaining, bytes.length)
+    this._remaining -= count
+    return count < bytes.length ? bytes.slice(0, count) : bytes
+  }
+}
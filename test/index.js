@@ -1,7 +1,9 @@
 /* eslint-env mocha */
+/* global ReadableStream */
 import chai from 'chai'
 const expect = chai.expect
 import {RenderingAudioContext as AudioContext} from 'web-audio-engine'
+import vm from 'vm'
 import BufferQueueNode from '..'
 
 chai.use(function (chai, utils) {
@@ -15,6 +17,49 @@ chai.use(function (chai, utils) {
 describe('BufferQueueNode', function () {
   var audioContext
   var node
+  /**
+   * Create the audio context of a test.
+   * @param {number} [numberOfChannels=1] - The number of channels of its destination
+   */
+  function createContext (numberOfChannels) {
+    audioContext = new AudioContext({
+      sampleRate: 4096,
+      numberOfChannels: numberOfChannels || 1,
+      blockSize: 256
+    })
+  }
+  /**
+   * Create the node of a test, connected to the destination of a new audio
+   * context with as many channels unless an audio context is given.
+   * @param {...Object} options - Options of the node, later ones taking precedence
+   */
+  function createNode () {
+    const options = Object.assign.apply(Object, [{}].concat(Array.from(arguments)))
+    if (!options.audioContext) {
+      createContext(options.channels)
+    }
+    node = new BufferQueueNode(Object.assign({
+      audioContext: audioContext,
+      bufferSize: 256
+    }, options))
+    node.connect(audioContext.destination)
+  }
+  /**
+   * Render the audio context up to a time and return the output of all
+   * channels, without the first block (before the node starts playing).
+   * @param {number} [time=1] - The time in seconds
+   */
+  function renderChannels (time) {
+    audioContext.processTo(time || 1)
+    return audioContext.exportAsAudioData().channelData.map((data) => data.subarray(256))
+  }
+  /**
+   * Like renderChannels(), for the first channel only.
+   * @param {number} [time=1] - The time in seconds
+   */
+  function render (time) {
+    return renderChannels(time)[0]
+  }
   describe('in object mode', function () {
     describe('for a single channel', function () {
       beforeEach(function () {
@@ -235,6 +280,1491 @@ describe('BufferQueueNode', function () {
       })
     })
   })
+  describe('with other sample formats', function () {
+    it('should detect Uint8Array, Int8Array, Int32Array and Float64Array', function () {
+      createNode({ objectMode: true })
+      node.write(Uint8Array.of(0, 128, 255))
+      node.write(Int8Array.of(-128, 0, 127))
+      node.write(Int32Array.of(-2147483648, 0, 2147483647))
+      node.write(Float64Array.of(-0.5, 0, 0.5))
+      const result = render()
+      expect(result.subarray(0, 12)).to.deep.equal(Float32Array.of(-1, 0, 1, -1, 0, 1, -1, 0, 1, -0.5, 0, 0.5))
+      expect(result.subarray(12)).to.be.silent
+    })
+    it('should decode big-endian data', function () {
+      createNode({ dataType: BufferQueueNode.Int16ArrayBE })
+      node.write(Buffer.from([0x80, 0x00, 0x00, 0x00, 0x7f, 0xff]))
+      expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(-1, 0, 1, 0))
+    })
+    it('should decode little-endian data from unaligned buffers', function () {
+      createNode({ dataType: BufferQueueNode.Float32ArrayLE })
+      const bytes = Buffer.alloc(9)
+      bytes.writeFloatLE(0.25, 1)
+      bytes.writeFloatLE(-0.75, 5)
+      node.write(bytes.slice(1))
+      expect(render().subarray(0, 3)).to.deep.equal(Float32Array.of(0.25, -0.75, 0))
+    })
+    it('should decode packed 24-bit data', function () {
+      createNode({ dataType: BufferQueueNode.Int24Array })
+      node.write(Buffer.from([0x00, 0x00, 0x80, 0x00, 0x00, 0x00, 0xff, 0xff, 0x7f]))
+      expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(-1, 0, 1, 0))
+    })
+    it('should decode big-endian packed 24-bit data', function () {
+      createNode({ dataType: BufferQueueNode.Int24ArrayBE })
+      node.write(Buffer.from([0x80, 0x00, 0x00, 0xc0, 0x00, 0x00]))
+      expect(render().subarray(0, 3)).to.deep.equal(Float32Array.of(-1, -0.5, 0))
+    })
+    it('should detect registered formats', function () {
+      class ConstantBuffer {
+        constructor (channels, interleaved, it) {
+          this.length = it.length
+          this._value = it.value
+        }
+        static accepts (chunk) {
+          return typeof chunk.value === 'number'
+        }
+        copyTo (to, toOffset, fromOffset, length) {
+          to.getChannelData(0).fill(this._value, toOffset, toOffset + length)
+        }
+      }
+      const unregister = BufferQueueNode.registerFormat(ConstantBuffer)
+      try {
+        createNode({ objectMode: true })
+        node.write({ value: 0.5, length: 4 })
+        expect(render().subarray(0, 5)).to.deep.equal(Float32Array.of(0.5, 0.5, 0.5, 0.5, 0))
+      } finally {
+        unregister()
+      }
+      createNode({ objectMode: true })
+      node.on('error', () => {})
+      node.write({ value: 0.5, length: 4 })
+      expect(render()).to.be.silent
+    })
+    it('should emit an error for unsupported chunks', function (done) {
+      createNode({ objectMode: true })
+      node.on('error', () => done())
+      node.write({})
+    })
+    it('should decode G.711 μ-law and A-law', function () {
+      createNode({ dataType: BufferQueueNode.MuLaw })
+      node.write(Buffer.from([0xff, 0x00, 0x80]))
+      expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(0, -32124 / 32768, 32124 / 32768, 0))
+
+      createNode({ dataType: BufferQueueNode.ALaw })
+      node.write(Buffer.from([0xd5, 0x55, 0xaa]))
+      expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(8 / 32768, -8 / 32768, 32256 / 32768, 0))
+    })
+    it('should encode G.711 μ-law and A-law', function () {
+      createContext()
+      const buffer = audioContext.createBuffer(1, 3, 4096)
+      buffer.getChannelData(0).set([0.5, -0.25, 0])
+      ;[BufferQueueNode.MuLaw, BufferQueueNode.ALaw].forEach((Format) => {
+        const encoded = Format.encode(buffer, true)
+        const decoded = audioContext.createBuffer(1, 3, 4096)
+        new Format(1, true, encoded).copyTo(decoded, 0, 0, 3)
+        const result = decoded.getChannelData(0)
+        expect(result[0]).to.be.closeTo(0.5, 0.02)
+        expect(result[1]).to.be.closeTo(-0.25, 0.01)
+        expect(result[2]).to.be.closeTo(0, 0.001)
+      })
+    })
+    it('should decode IMA ADPCM', function () {
+      createNode({ dataType: BufferQueueNode.ImaAdpcm })
+      node.write(Buffer.from([0x07]))
+      expect(render().subarray(0, 3)).to.deep.equal(Float32Array.of(11 / 32768, 13 / 32768, 0))
+    })
+    it('should keep the IMA ADPCM state across chunks and partial copies', function () {
+      const bytes = Buffer.from(new Uint8Array(300).map((e, i) => (i * 37) & 0xff))
+      createNode({ dataType: BufferQueueNode.ImaAdpcm })
+      node.write(bytes)
+      const expected = render().slice(0, 600)
+
+      createNode({ dataType: BufferQueueNode.ImaAdpcm })
+      // Chunks end within blocks and blocks end within chunks
+      node.write(bytes.slice(0, 100))
+      node.write(bytes.slice(100, 101))
+      node.write(bytes.slice(101))
+      expect(render().subarray(0, 600)).to.deep.equal(expected)
+    })
+    it('should keep the IMA ADPCM state when the queue is cleared', function () {
+      const bytes = Buffer.from(new Uint8Array(300).map((e, i) => (i * 37) & 0xff))
+      createNode({ dataType: BufferQueueNode.ImaAdpcm })
+      node.write(bytes)
+      const expected = render().slice(200, 600)
+
+      createNode({ dataType: BufferQueueNode.ImaAdpcm })
+      node.write(bytes.slice(0, 100))
+      node.clear(0)
+      node.write(bytes.slice(100))
+      expect(render().subarray(0, 400)).to.deep.equal(expected)
+    })
+    it('should convert samples for any number of channels', function () {
+      createContext()
+      // Reference conversions of raw samples, computed independently of the formats
+      const scale = (bits) => (v) => v / (v > 0 ? Math.pow(2, bits - 1) - 1 : Math.pow(2, bits - 1))
+      const muLaw = (v) => {
+        v = ~v & 0xff
+        const exponent = (v >> 4) & 0x07
+        const magnitude = ((((v & 0x0f) << 3) + 0x84) << exponent) - 0x84
+        return (v & 0x80 ? -magnitude : magnitude) / 32768
+      }
+      const cases = [
+        [BufferQueueNode.Float32Array, Float32Array, (v) => v / 1024, (v) => v],
+        [BufferQueueNode.Int8Array, Int8Array, (v) => v, scale(8)],
+        [BufferQueueNode.Int16Array, Int16Array, (v) => v * 257, scale(16)],
+        [BufferQueueNode.Int32Array, Int32Array, (v) => v * 16843009, scale(32)],
+        [BufferQueueNode.Uint8Array, Uint8Array, (v) => v + 128, (v) => scale(8)(v - 128)],
+        [BufferQueueNode.MuLaw, Uint8Array, (v) => v + 128, muLaw]
+      ]
+      cases.forEach(([Format, ArrayType, sample, convert]) => {
+        [1, 2, 3].forEach((channels) => {
+          [true, false].forEach((interleaved) => {
+            const length = 256
+            const samples = new ArrayType(channels * length)
+            for (let i = 0; i < samples.length; i++) {
+              samples[i] = sample((i * 37) % 256 - 128)
+            }
+            const buffer = audioContext.createBuffer(channels, length, 4096)
+            new Format(channels, interleaved, samples).copyTo(buffer, 5, 3, 250)
+            for (let channel = 0; channel < channels; channel++) {
+              const expected = new Float32Array(length)
+              for (let i = 0; i < 250; i++) {
+                const j = interleaved ? (3 + i) * channels + channel : channel * length + 3 + i
+                expected[5 + i] = convert(samples[j])
+              }
+              expect(buffer.getChannelData(channel)).to.deep.equal(expected)
+            }
+          })
+        })
+      })
+      // Extremes and a few known values
+      const buffer = audioContext.createBuffer(1, 4, 4096)
+      new BufferQueueNode.Int16Array(1, true, Int16Array.of(-32768, -16384, 16384, 32767)).copyTo(buffer, 0, 0, 4)
+      expect(buffer.getChannelData(0)).to.deep.equal(Float32Array.of(-1, -0.5, 16384 / 32767, 1))
+      new BufferQueueNode.MuLaw(1, true, Uint8Array.of(0x00, 0x80, 0xff, 0x7f)).copyTo(buffer, 0, 0, 4)
+      expect(buffer.getChannelData(0)).to.deep.equal(Float32Array.of(-32124 / 32768, 32124 / 32768, 0, -0))
+    })
+    describe('as planar channel arrays', function () {
+      beforeEach(function () {
+        createNode({ objectMode: true, channels: 2 })
+      })
+      it('should accept an array of Float32Arrays and Int16Arrays', function () {
+        node.write([Float32Array.of(0.25, 0.5), Float32Array.of(-0.25, -0.5)])
+        node.write([Int16Array.of(-32768), Int16Array.of(32767)])
+        const result = renderChannels()
+        expect(result[0].subarray(0, 4)).to.deep.equal(Float32Array.of(0.25, 0.5, -1, 0))
+        expect(result[1].subarray(0, 4)).to.deep.equal(Float32Array.of(-0.25, -0.5, 1, 0))
+      })
+      it('should accept channel data with a sample rate', function () {
+        node.write({ channelData: [Float32Array.of(1), Float32Array.of(-1)], sampleRate: 4096 })
+        const result = renderChannels()
+        expect(result[0].subarray(0, 2)).to.deep.equal(Float32Array.of(1, 0))
+        expect(result[1].subarray(0, 2)).to.deep.equal(Float32Array.of(-1, 0))
+      })
+      it('should mix a different number of channels', function () {
+        node.write([Float32Array.of(0.5)])
+        const result = renderChannels()
+        expect(result[0][0]).to.equal(0.5)
+        expect(result[1][0]).to.equal(0.5)
+      })
+      it('should emit an error for a different sample rate', function (done) {
+        node.on('error', (err) => {
+          expect(err.message).to.contain('Sample rate')
+          done()
+        })
+        node.write({ channelData: [Float32Array.of(1), Float32Array.of(1)], sampleRate: 48000 })
+      })
+      it('should emit an error for channels of different length', function (done) {
+        node.on('error', () => done())
+        node.write([Float32Array.of(1, 2), Float32Array.of(1)])
+      })
+    })
+  })
+  describe('with a different number of input channels', function () {
+    const options = { objectMode: true }
+    it('should down-mix a stereo AudioBuffer to mono', function () {
+      createNode(options, { channels: 1 })
+      const audioBuffer = audioContext.createBuffer(2, 2, 4096)
+      audioBuffer.getChannelData(0).set([1, 0.5])
+      audioBuffer.getChannelData(1).set([0, 0.5])
+      node.write(audioBuffer)
+      expect(render().subarray(0, 3)).to.deep.equal(Float32Array.of(0.5, 0.5, 0))
+    })
+    it('should up-mix a mono AudioBuffer to stereo', function () {
+      createNode(options, { channels: 2 })
+      const audioBuffer = audioContext.createBuffer(1, 2, 4096)
+      audioBuffer.getChannelData(0).set([1, 0.5])
+      node.write(audioBuffer)
+      const result = renderChannels()
+      expect(result[0].subarray(0, 3)).to.deep.equal(Float32Array.of(1, 0.5, 0))
+      expect(result[1].subarray(0, 3)).to.deep.equal(Float32Array.of(1, 0.5, 0))
+    })
+    it('should up-mix discretely if requested', function () {
+      createNode(options, { channels: 2, channelInterpretation: 'discrete' })
+      node.write({ data: Float32Array.of(1, 0.5), channels: 1 })
+      const result = renderChannels()
+      expect(result[0].subarray(0, 3)).to.deep.equal(Float32Array.of(1, 0.5, 0))
+      expect(result[1]).to.be.silent
+    })
+    it('should down-mix 5.1 data to stereo', function () {
+      createNode(options, { channels: 2, inputChannels: 6 })
+      node.write(Float32Array.of(1, 0, 0.5, 1, 0.5, 0))
+      const result = renderChannels()
+      const expected = 1 + Math.sqrt(0.5)
+      expect(result[0][0]).to.be.closeTo(expected, 1e-6)
+      expect(result[1][0]).to.be.closeTo(Math.sqrt(0.5) * 0.5, 1e-6)
+    })
+    it('should accept a number of channels per chunk', function () {
+      createNode(options, { channels: 1 })
+      node.write({ data: Float32Array.of(1, 0, 0.5, 0.5), channels: 2 })
+      node.write(Float32Array.of(0.25))
+      expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(0.5, 0.5, 0.25, 0))
+    })
+  })
+  describe('with a queue high water mark', function () {
+    beforeEach(function () {
+      createNode({
+        objectMode: true,
+        queueHighWaterMark: { frames: 512 }
+      })
+    })
+    it('should accept writes below the high water mark', function (done) {
+      node.write(new Float32Array(511), done)
+    })
+    it('should hold back writes until the queue has drained', function (done) {
+      let called = false
+      node.write(new Float32Array(1024), () => { called = true })
+      process.nextTick(() => {
+        expect(called).to.be.false
+        audioContext.processTo(512 / 4096)
+        expect(called).to.be.false
+        audioContext.processTo(1024 / 4096)
+        expect(called).to.be.true
+        done()
+      })
+    })
+    it('should accept seconds as high water mark', function (done) {
+      node = new BufferQueueNode({
+        audioContext: audioContext,
+        bufferSize: 256,
+        objectMode: true,
+        queueHighWaterMark: 0.125
+      })
+      node.connect(audioContext.destination)
+      let called = false
+      node.write(new Float32Array(512), () => { called = true })
+      process.nextTick(() => {
+        expect(called).to.be.false
+        audioContext.processTo(512 / 4096)
+        expect(called).to.be.true
+        done()
+      })
+    })
+  })
+  describe('with a different input sample rate', function () {
+    const options = { objectMode: true }
+    it('should interpolate linearly', function () {
+      createNode(options, { inputSampleRate: 2048 })
+      node.write(Float32Array.of(0, 1, 2, 3))
+      const result = render()
+      expect(result.subarray(0, 6)).to.deep.equal(Float32Array.of(0, 0.5, 1, 1.5, 2, 2.5))
+      expect(result.subarray(6)).to.be.silent
+    })
+    it('should carry state across chunks', function () {
+      createNode(options, { inputSampleRate: 2048 })
+      node.write(Float32Array.of(0, 1))
+      node.write(Int16Array.of(-(1 << 14)))
+      node.write(Float32Array.of(1.5))
+      const result = render()
+      expect(result.subarray(0, 6)).to.deep.equal(Float32Array.of(0, 0.5, 1, 0.25, -0.5, 0.5))
+      expect(result.subarray(6)).to.be.silent
+    })
+    it('should flush the remaining frames when ended', function (done) {
+      createNode(options, { inputSampleRate: 2048 })
+      node.end(Float32Array.of(0, 1, 2, 3))
+      node.on('finish', () => {
+        audioContext.processTo(1)
+        const result = audioContext.exportAsAudioData().channelData[0].subarray(256)
+        expect(result.subarray(0, 8)).to.deep.equal(Float32Array.of(0, 0.5, 1, 1.5, 2, 2.5, 3, 1.5))
+        expect(result.subarray(8)).to.be.silent
+        done()
+      })
+    })
+    it('should upsample with a windowed-sinc kernel', function () {
+      createNode(options, { inputSampleRate: 2048, resampleQuality: 'sinc' })
+      node.write(new Float32Array(1024).fill(0.5))
+      const result = render()
+      for (let i = 100; i < 1900; i++) {
+        expect(result[i]).to.be.closeTo(0.5, 0.001)
+      }
+    })
+    it('should downsample with a windowed-sinc kernel', function () {
+      createNode(options, { inputSampleRate: 8192, resampleQuality: 'sinc' })
+      node.write(new Float32Array(4096).fill(0.5))
+      const result = render()
+      for (let i = 100; i < 1900; i++) {
+        expect(result[i]).to.be.closeTo(0.5, 0.001)
+      }
+    })
+  })
+  describe('with a jitter buffer', function () {
+    beforeEach(function () {
+      createNode({
+        objectMode: true,
+        jitterBuffer: {
+          targetLatency: { frames: 512 },
+          minFill: { frames: 384 },
+          maxLatency: { frames: 1024 }
+        }
+      })
+    })
+    it('should wait for the minimum fill before starting playback', function () {
+      node.write(new Float32Array(256).fill(1))
+      audioContext.processTo(1024 / 4096)
+      node.write(new Float32Array(256).fill(2))
+      audioContext.processTo(1)
+      const result = audioContext.exportAsAudioData().channelData[0].subarray(256)
+      expect(result.subarray(0, 1024)).to.be.silent
+      expect(result.subarray(1024, 1280)).to.deep.equal(new Float32Array(256).fill(1))
+      expect(result.subarray(1280, 1536)).to.deep.equal(new Float32Array(256).fill(2))
+      expect(result.subarray(1536)).to.be.silent
+    })
+    it('should rebuffer after an underrun', function () {
+      node.write(new Float32Array(384).fill(1))
+      audioContext.processTo(1024 / 4096)
+      node.write(new Float32Array(256).fill(2))
+      audioContext.processTo(1)
+      const result = audioContext.exportAsAudioData().channelData[0].subarray(256)
+      expect(result.subarray(0, 384)).to.deep.equal(new Float32Array(384).fill(1))
+      expect(result.subarray(384)).to.be.silent
+    })
+    it('should not hold back writes while filling up', function (done) {
+      node = new BufferQueueNode({
+        audioContext: audioContext,
+        bufferSize: 256,
+        objectMode: true,
+        queueHighWaterMark: { frames: 512 },
+        jitterBuffer: { targetLatency: { frames: 1024 } }
+      })
+      node.connect(audioContext.destination)
+      node.write(new Float32Array(512).fill(1), () => {
+        node.write(new Float32Array(512).fill(1), () => {
+          audioContext.processTo(1)
+          expect(node.getStats().framesPlayed).to.equal(1024)
+          done()
+        })
+      })
+    })
+    it('should drop backlog exceeding the maximum latency', function (done) {
+      const drops = []
+      node.on('drop', (e) => drops.push(e))
+      node.write(new Float32Array(1024).fill(1))
+      node.write(new Float32Array(512).fill(2))
+      audioContext.processTo(1)
+      const result = audioContext.exportAsAudioData().channelData[0].subarray(256)
+      expect(result.subarray(0, 512)).to.deep.equal(new Float32Array(512).fill(2))
+      expect(result.subarray(512)).to.be.silent
+      expect(node.getStats().droppedFrames).to.equal(1024)
+      process.nextTick(() => {
+        expect(drops).to.deep.equal([{ frames: 1024, duration: 0.25 }])
+        done()
+      })
+    })
+  })
+  describe('with a latency cap', function () {
+    var input
+    var drops
+    function createCappedNode (options) {
+      createNode({ objectMode: true, maxLatency: { frames: 256 } }, options)
+      input = new Float32Array(1024).map((e, i) => i)
+      drops = []
+      node.on('drop', (e) => drops.push(e))
+    }
+    it('should drop the oldest data', function (done) {
+      createCappedNode()
+      node.write(input)
+      const result = render()
+      expect(result.subarray(0, 256)).to.deep.equal(input.subarray(768))
+      expect(result.subarray(256)).to.be.silent
+      process.nextTick(() => {
+        expect(drops).to.deep.equal([{ frames: 768, duration: 768 / 4096 }])
+        done()
+      })
+    })
+    it('should drop parts of chunks', function () {
+      createCappedNode()
+      node.write(input.subarray(0, 300))
+      node.write(input.subarray(300, 600))
+      const result = render()
+      expect(result.subarray(0, 256)).to.deep.equal(input.subarray(344, 600))
+    })
+    it('should crossfade to the remaining data', function (done) {
+      createCappedNode({ dropCrossfadeDuration: { frames: 4 } })
+      node.write(input)
+      const result = render()
+      for (let i = 0; i < 4; i++) {
+        const gain = (i + 1) / 4
+        expect(result[i]).to.be.closeTo((768 + i) * gain + i * (1 - gain), 1e-3)
+      }
+      expect(result.subarray(4, 256)).to.deep.equal(input.subarray(772))
+      // Only the remaining data counts as played, the crossfaded data as dropped
+      expect(node.getStats().framesPlayed).to.equal(256)
+      expect(node.getStats().droppedFrames).to.equal(768)
+      process.nextTick(() => {
+        expect(drops).to.deep.equal([{ frames: 768, duration: 768 / 4096 }])
+        done()
+      })
+    })
+  })
+  describe('with timestamped packets', function () {
+    var events
+    function createPacketNode (options) {
+      createNode({ objectMode: true, reorderWindow: { frames: 8 } }, options)
+      events = []
+      ;['reorder', 'gap', 'late', 'duplicate'].forEach((event) => {
+        node.on(event, (e) => events.push([event, e.timestamp, e.frames]))
+      })
+    }
+    function packet (timestamp, length) {
+      const data = new Float32Array(length).map((e, i) => timestamp + i + 1)
+      return { data: data, timestamp: timestamp }
+    }
+    function expected (length) {
+      return new Float32Array(length).map((e, i) => 1000 + i + 1)
+    }
+    it('should reorder packets within the window', function (done) {
+      createPacketNode()
+      node.write(packet(1000, 4))
+      node.write(packet(1008, 4))
+      node.write(packet(1004, 4))
+      node.write(packet(1004, 4))
+      const result = render()
+      expect(result.subarray(0, 12)).to.deep.equal(expected(12))
+      expect(result.subarray(12)).to.be.silent
+      process.nextTick(() => {
+        expect(events).to.deep.equal([['reorder', 1004, undefined], ['duplicate', 1004, undefined]])
+        expect(node.getStats().reorderedPackets).to.equal(1)
+        expect(node.getStats().duplicatePackets).to.equal(1)
+        done()
+      })
+    })
+    it('should reorder the first packets', function (done) {
+      createPacketNode()
+      node.write(packet(1002, 2))
+      node.write(packet(1000, 2))
+      const result = render()
+      expect(result.subarray(0, 4)).to.deep.equal(expected(4))
+      expect(result.subarray(4)).to.be.silent
+      process.nextTick(() => {
+        expect(events).to.deep.equal([['reorder', 1000, undefined]])
+        done()
+      })
+    })
+    it('should discard duplicates waiting in the reorder buffer', function () {
+      createPacketNode()
+      node.write(packet(1000, 4))
+      node.write(packet(1008, 4))
+      node.write(packet(1008, 4))
+      expect(node.getStats().duplicatePackets).to.equal(1)
+    })
+    it('should discard duplicates of packets already queued', function (done) {
+      createPacketNode()
+      node.write(packet(1000, 4))
+      node.write(packet(1004, 4))
+      node.write(packet(1008, 4))
+      node.write(packet(1012, 4))
+      render()
+      node.write(packet(1000, 4))
+      node.write(packet(1008, 4))
+      process.nextTick(() => {
+        expect(events).to.deep.equal([['duplicate', 1000, undefined], ['duplicate', 1008, undefined]])
+        expect(node.getStats().duplicatePackets).to.equal(2)
+        expect(node.getStats().latePackets).to.equal(0)
+        done()
+      })
+    })
+    it('should fill gaps exceeding the window with silence', function (done) {
+      createPacketNode()
+      node.write(packet(1000, 4))
+      node.write(packet(1008, 4))
+      node.write(packet(1012, 4))
+      node.write(packet(1004, 4))
+      const result = render()
+      const expectedResult = expected(16)
+      expectedResult.fill(0, 4, 8)
+      expect(result.subarray(0, 16)).to.deep.equal(expectedResult)
+      process.nextTick(() => {
+        expect(events).to.deep.equal([['gap', 1004, 4], ['late', 1004, 4]])
+        expect(node.getStats().gapFrames).to.equal(4)
+        done()
+      })
+    })
+    it('should conceal gaps if requested', function () {
+      createPacketNode({ gapFill: 'conceal', concealmentDuration: { frames: 4 } })
+      node.write({ data: Float32Array.of(1, 1), timestamp: 0 })
+      node.write({ data: Float32Array.of(2, 2), timestamp: 6 })
+      node.write({ data: Float32Array.of(2, 2), timestamp: 10 })
+      const result = render()
+      expect(result.subarray(0, 8)).to.deep.equal(Float32Array.of(1, 1, 0.75, 0.5, 0.25, 0, 2, 2))
+    })
+    it('should fill gaps once their data is due', function () {
+      createPacketNode({ reorderWindow: 1 })
+      node.write(packet(1000, 4))
+      node.write(packet(1008, 4))
+      const result = render()
+      const expectedResult = expected(12)
+      expectedResult.fill(0, 4, 8)
+      expect(result.subarray(0, 12)).to.deep.equal(expectedResult)
+    })
+    it('should fill gaps when the stream ends', function (done) {
+      createPacketNode({ reorderWindow: 1 })
+      node.write(packet(1000, 4))
+      node.end(packet(1008, 4))
+      node.on('finish', () => {
+        expect(node.getStats().framesQueued).to.equal(12)
+        done()
+      })
+    })
+  })
+  describe('with drift compensation', function () {
+    beforeEach(function () {
+      createNode({
+        objectMode: true,
+        driftCompensation: {
+          targetLatency: { frames: 2048 },
+          maxDeviation: 0.01,
+          timeConstant: 0.5
+        }
+      })
+    })
+    it('should play at the nominal rate initially', function () {
+      expect(node.playbackRate).to.equal(1)
+    })
+    it('should speed up gradually if the latency is too high', function () {
+      node.write(new Float32Array(16384).fill(1))
+      audioContext.processTo(256 / 4096)
+      const firstRate = node.playbackRate
+      expect(firstRate).to.be.above(1)
+      expect(firstRate).to.be.below(1.002)
+      audioContext.processTo(2)
+      expect(node.playbackRate).to.be.above(1.009)
+      expect(node.playbackRate).to.be.most(1.01)
+      expect(node.getStats().playbackRate).to.equal(node.playbackRate)
+      // More data has been consumed than at the nominal rate
+      expect(node.getStats().framesPlayed).to.be.above(2 * 4096 - 256)
+    })
+    it('should slow down if the latency is too low', function () {
+      node.write(new Float32Array(1024).fill(1))
+      audioContext.processTo(512 / 4096)
+      expect(node.playbackRate).to.be.below(1)
+    })
+  })
+  describe('transport controls', function () {
+    var input
+    beforeEach(function () {
+      createNode({ objectMode: true })
+      input = new Float32Array(1024).map((e, i) => i)
+      node.write(input)
+    })
+    it('should pause and resume', function () {
+      audioContext.processTo(256 / 4096)
+      node.pause(0)
+      audioContext.processTo(768 / 4096)
+      node.resume(0)
+      const result = render(2)
+      expect(result.subarray(0, 256)).to.deep.equal(input.subarray(0, 256))
+      expect(result.subarray(256, 768)).to.be.silent
+      expect(result.subarray(768, 1536)).to.deep.equal(input.subarray(256))
+      expect(result.subarray(1536)).to.be.silent
+    })
+    it('should fade out when pausing and in when resuming', function () {
+      audioContext.processTo(256 / 4096)
+      node.pause(64 / 4096)
+      audioContext.processTo(768 / 4096)
+      node.resume(64 / 4096)
+      const result = render(2)
+      for (let i = 0; i < 64; i++) {
+        expect(result[256 + i]).to.be.closeTo((256 + i) * (1 - (i + 1) / 64), 1e-3)
+        expect(result[768 + i]).to.be.closeTo((320 + i) * (i + 1) / 64, 1e-3)
+      }
+      expect(result.subarray(320, 768)).to.be.silent
+      expect(result.subarray(768 + 64, 768 + 704)).to.deep.equal(input.subarray(320 + 64))
+    })
+    it('should clear all queued data', function () {
+      audioContext.processTo(256 / 4096)
+      node.clear(0)
+      node.write(Float32Array.of(1, 2))
+      const result = render(2)
+      expect(result.subarray(0, 256)).to.deep.equal(input.subarray(0, 256))
+      expect(result.subarray(256, 258)).to.deep.equal(Float32Array.of(1, 2))
+      expect(result.subarray(258)).to.be.silent
+      expect(node.getStats().framesQueued).to.equal(0)
+    })
+    it('should clear after fading out', function () {
+      audioContext.processTo(256 / 4096)
+      node.flush(32 / 4096)
+      const result = render(2)
+      expect(result[256 + 31]).to.equal(0)
+      expect(result[256 + 16]).to.be.closeTo((256 + 16) * (1 - 17 / 32), 1e-3)
+      expect(result.subarray(256 + 32)).to.be.silent
+    })
+    it('should skip data', function () {
+      audioContext.processTo(256 / 4096)
+      node.skip(256 / 4096, 0)
+      const result = render(2)
+      expect(result.subarray(0, 256)).to.deep.equal(input.subarray(0, 256))
+      expect(result.subarray(256, 768)).to.deep.equal(input.subarray(512))
+      expect(result.subarray(768)).to.be.silent
+    })
+    it('should stay paused when skipping', function () {
+      audioContext.processTo(256 / 4096)
+      node.pause(0)
+      node.skip(256 / 4096, 64 / 4096)
+      audioContext.processTo(768 / 4096)
+      node.resume(0)
+      const result = render(2)
+      expect(result.subarray(256, 768)).to.be.silent
+      expect(result.subarray(768, 1280)).to.deep.equal(input.subarray(512))
+      expect(result.subarray(1280)).to.be.silent
+    })
+  })
+  describe('underrun strategies', function () {
+    const options = { objectMode: true, underrunFadeDuration: { frames: 32 } }
+    it('should ramp down to silence and fade in afterwards', function () {
+      createNode(options, { underrunStrategy: 'fade' })
+      node.write(new Float32Array(100).fill(1))
+      audioContext.processTo(256 / 4096)
+      node.write(new Float32Array(64).fill(1))
+      const result = render(2)
+      expect(result.subarray(0, 100)).to.deep.equal(new Float32Array(100).fill(1))
+      for (let i = 0; i < 32; i++) {
+        expect(result[100 + i]).to.be.closeTo(1 - (i + 1) / 32, 1e-6)
+        expect(result[256 + i]).to.be.closeTo((i + 1) / 32, 1e-6)
+      }
+      expect(result.subarray(132, 256)).to.be.silent
+      expect(result.subarray(288, 320)).to.deep.equal(new Float32Array(32).fill(1))
+      expect(result[320]).to.be.closeTo(1 - 1 / 32, 1e-6)
+      expect(result.subarray(352)).to.be.silent
+    })
+    it('should continue the last played audio while attenuating it', function () {
+      createNode(options, { underrunStrategy: 'conceal', concealmentDuration: { frames: 80 } })
+      const input = new Float32Array(100).map((e, i) => i)
+      node.write(input)
+      const result = render(2)
+      expect(result.subarray(0, 100)).to.deep.equal(input)
+      // The last 41 sample-frames (10ms) are played backwards and forwards
+      expect(result[100]).to.be.closeTo(98 * (1 - 1 / 80), 1e-3)
+      expect(result[101]).to.be.closeTo(97 * (1 - 2 / 80), 1e-3)
+      expect(result[100 + 39]).to.be.closeTo(59 * (1 - 40 / 80), 1e-3)
+      expect(result[100 + 40]).to.be.closeTo(60 * (1 - 41 / 80), 1e-3)
+      expect(result.subarray(180)).to.be.silent
+    })
+    it('should ramp down at the end of the stream', function (done) {
+      createNode(options, { underrunStrategy: 'fade' })
+      node.end(new Float32Array(100).fill(1))
+      node.on('close', () => {
+        const result = audioContext.exportAsAudioData().channelData[0].subarray(256)
+        expect(result.subarray(0, 100)).to.deep.equal(new Float32Array(100).fill(1))
+        for (let i = 0; i < 32; i++) {
+          expect(result[100 + i]).to.be.closeTo(1 - (i + 1) / 32, 1e-6)
+        }
+        expect(result.subarray(132)).to.be.silent
+        done()
+      })
+      setTimeout(render)
+    })
+    it('should not conceal cleared data', function () {
+      createNode(options, { underrunStrategy: 'conceal' })
+      node.write(new Float32Array(512).fill(1))
+      audioContext.processTo(256 / 4096)
+      node.clear(0)
+      const result = render(2)
+      expect(result.subarray(256)).to.be.silent
+    })
+    it('should reject unknown strategies', function () {
+      expect(() => createNode(options, { underrunStrategy: 'repeat' })).to.throw('Unsupported underrun strategy')
+    })
+  })
+  describe('scheduled playback', function () {
+    var input
+    beforeEach(function () {
+      createNode({ objectMode: true })
+      input = new Float32Array(1024).map((e, i) => i + 1)
+    })
+    it('should start at the exact sample-frame', function () {
+      node.start(1000 / 4096)
+      node.write(input)
+      audioContext.processTo(1)
+      const result = audioContext.exportAsAudioData().channelData[0]
+      expect(result.subarray(0, 1000)).to.be.silent
+      expect(result.subarray(1000, 2024)).to.deep.equal(input)
+      expect(result.subarray(2024)).to.be.silent
+    })
+    it('should only allow a single start', function () {
+      node.start()
+      expect(() => node.start()).to.throw(Error)
+    })
+    it('should stop at the exact sample-frame and close', function (done) {
+      node.write(input)
+      node.stop(900 / 4096)
+      node.on('close', () => {
+        const result = audioContext.exportAsAudioData().channelData[0]
+        expect(result.subarray(0, 256)).to.be.silent
+        expect(result.subarray(256, 900)).to.deep.equal(input.subarray(0, 644))
+        expect(result.subarray(900)).to.be.silent
+        expect(node.getStats().framesQueued).to.equal(0)
+        done()
+      })
+      audioContext.processTo(1)
+    })
+  })
+  describe('events and stats', function () {
+    var events
+    beforeEach(function () {
+      createNode({ objectMode: true })
+      events = []
+      ;['underrun', 'resume', 'drained', 'close'].forEach((event) => {
+        node.on(event, () => events.push(event))
+      })
+    })
+    it('should report underruns and resumption', function (done) {
+      node.write(new Float32Array(384))
+      audioContext.processTo(1024 / 4096)
+      node.write(new Float32Array(128))
+      audioContext.processTo(2048 / 4096)
+      process.nextTick(() => {
+        expect(events).to.deep.equal(['underrun', 'drained', 'resume', 'underrun', 'drained'])
+        done()
+      })
+    })
+    it('should emit drained before close', function (done) {
+      node.end(new Float32Array(128))
+      node.on('close', () => {
+        expect(events).to.deep.equal(['drained', 'close'])
+        done()
+      })
+      setTimeout(() => audioContext.processTo(1))
+    })
+    it('should emit chunk events with metadata and playback time', function (done) {
+      const chunkEvents = []
+      node.on('chunkstart', (e) => chunkEvents.push(['start', e.metadata, e.time * 4096]))
+      node.on('chunkend', (e) => chunkEvents.push(['end', e.metadata, e.time * 4096]))
+      node.write({ data: new Float32Array(100), metadata: 'a' })
+      node.write({ data: new Float32Array(300), metadata: { id: 'b' } })
+      node.write(new Float32Array(10))
+      audioContext.processTo(1)
+      process.nextTick(() => {
+        // The first block is played at frame 256
+        expect(chunkEvents).to.deep.equal([
+          ['start', 'a', 256],
+          ['end', 'a', 355],
+          ['start', { id: 'b' }, 356],
+          ['end', { id: 'b' }, 655],
+          ['start', undefined, 656],
+          ['end', undefined, 665]
+        ])
+        done()
+      })
+    })
+    it('should end chunks discarded after they started playing', function (done) {
+      const chunkEvents = []
+      node.on('chunkstart', (e) => chunkEvents.push(['start', e.metadata, e.time * 4096]))
+      node.on('chunkend', (e) => chunkEvents.push(['end', e.metadata, e.time * 4096, e.dropped]))
+      node.write({ data: new Float32Array(512), metadata: 'a' })
+      audioContext.processTo(256 / 4096)
+      node.clear(0)
+      node.write({ data: new Float32Array(512), metadata: 'b' })
+      node.write({ data: new Float32Array(512), metadata: 'c' })
+      audioContext.processTo(512 / 4096)
+      node.skip(512 / 4096, 0)
+      process.nextTick(() => {
+        expect(chunkEvents).to.deep.equal([
+          ['start', 'a', 256],
+          ['end', 'a', 511, true],
+          ['start', 'b', 512],
+          ['end', 'b', 767, true]
+        ])
+        done()
+      })
+    })
+    it('should provide stats', function () {
+      expect(node.getStats()).to.deep.equal({
+        framesPlayed: 0,
+        framesQueued: 0,
+        queuedDuration: 0,
+        underrunCount: 0,
+        silenceFrames: 0,
+        playbackRate: 1,
+        reorderedPackets: 0,
+        duplicatePackets: 0,
+        latePackets: 0,
+        gapFrames: 0,
+        droppedFrames: 0
+      })
+      node.write(new Float32Array(1024))
+      expect(node.getStats().framesQueued).to.equal(1024)
+      expect(node.getStats().queuedDuration).to.equal(0.25)
+      audioContext.processTo(512 / 4096)
+      node.write(new Float32Array(128))
+      audioContext.processTo(2048 / 4096)
+      const stats = node.getStats()
+      expect(stats.framesPlayed).to.equal(1152)
+      expect(stats.framesQueued).to.equal(0)
+      expect(stats.underrunCount).to.equal(1)
+      expect(stats.silenceFrames).to.equal(2048 - 1152)
+    })
+  })
+  describe('with WHATWG streams and iterables', function () {
+    beforeEach(function () {
+      createNode({
+        objectMode: true,
+        queueHighWaterMark: { frames: 256 }
+      })
+    })
+    it('should accept writes through a WritableStream', function (done) {
+      const writer = node.writable.getWriter()
+      writer.write(Float32Array.of(1, 2))
+      writer.write(Float32Array.of(3))
+      writer.close().then(() => {
+        expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(1, 2, 3, 0))
+        done()
+      }).catch(done)
+    })
+    it('should apply backpressure to the WritableStream', function (done) {
+      const writer = node.writable.getWriter()
+      let written = false
+      writer.write(new Float32Array(512)).then(() => { written = true })
+      setTimeout(() => {
+        expect(written).to.equal(false)
+        expect(writer.desiredSize).to.equal(0)
+        audioContext.processTo(512 / 4096)
+        setTimeout(() => {
+          expect(written).to.equal(true)
+          expect(writer.desiredSize).to.equal(1)
+          done()
+        })
+      })
+    })
+    it('should consume async iterables and end afterwards', function (done) {
+      const chunks = [Float32Array.of(1), Float32Array.of(2), new Float32Array(512)]
+      const source = {}
+      source[Symbol.asyncIterator] = () => ({
+        next: () => Promise.resolve(chunks.length > 0
+          ? { done: false, value: chunks.shift() }
+          : { done: true })
+      })
+      node.consume(source).then(() => {
+        expect(chunks).to.be.empty
+        expect(render().subarray(0, 2)).to.deep.equal(Float32Array.of(1, 2))
+        done()
+      }).catch(done)
+      // The last chunk is held back until the queue has drained
+      setTimeout(() => audioContext.processTo(1))
+    })
+    it('should consume ReadableStreams', function (done) {
+      const source = new ReadableStream({
+        start (controller) {
+          controller.enqueue(Float32Array.of(1, 2))
+          controller.close()
+        }
+      })
+      node.consume(source).then(() => {
+        expect(render().subarray(0, 3)).to.deep.equal(Float32Array.of(1, 2, 0))
+        done()
+      }).catch(done)
+    })
+    it('should reject and cancel the source if a write fails', function (done) {
+      const chunks = [Float32Array.of(1), { bogus: true }, Float32Array.of(2)]
+      let returned = false
+      const source = {}
+      source[Symbol.asyncIterator] = () => ({
+        next: () => Promise.resolve({ done: false, value: chunks.shift() }),
+        return: () => {
+          returned = true
+          return Promise.resolve({ done: true })
+        }
+      })
+      node.consume(source).catch((err) => {
+        expect(err.message).to.match(/^Unsupported chunk type/)
+        expect(node.listenerCount('error')).to.equal(0)
+        setTimeout(() => {
+          expect(returned).to.equal(true)
+          done()
+        })
+      })
+    })
+    it('should reject and cancel the source if a chunk is null', function (done) {
+      const chunks = [Float32Array.of(1), null]
+      let returned = false
+      const source = {}
+      source[Symbol.asyncIterator] = () => ({
+        next: () => Promise.resolve({ done: false, value: chunks.shift() }),
+        return: () => {
+          returned = true
+          return Promise.resolve({ done: true })
+        }
+      })
+      node.consume(source).catch((err) => {
+        expect(err.code).to.equal('ERR_STREAM_NULL_VALUES')
+        setTimeout(() => {
+          expect(returned).to.equal(true)
+          done()
+        })
+      })
+    })
+    it('should reject and cancel the source if a chunk is not bytes', function (done) {
+      node = new BufferQueueNode({
+        audioContext: audioContext,
+        bufferSize: 256
+      })
+      let returned = false
+      const chunks = [Buffer.alloc(8), 42]
+      const source = {
+        [Symbol.iterator]: () => ({
+          next: () => ({ done: false, value: chunks.shift() }),
+          return: () => {
+            returned = true
+            return { done: true }
+          }
+        })
+      }
+      node.consume(source).catch((err) => {
+        expect(err.code).to.equal('ERR_INVALID_ARG_TYPE')
+        setTimeout(() => {
+          expect(returned).to.equal(true)
+          done()
+        })
+      })
+    })
+    it('should reject and cancel the source if the node is stopped', function (done) {
+      let cancelled = false
+      const source = new ReadableStream({
+        pull (controller) {
+          controller.enqueue(new Float32Array(512))
+        },
+        cancel () {
+          cancelled = true
+        }
+      })
+      node.consume(source).catch((err) => {
+        expect(err.message).to.equal('Node closed before the source was exhausted')
+        setTimeout(() => {
+          expect(cancelled).to.equal(true)
+          expect(source.locked).to.equal(false)
+          done()
+        })
+      })
+      setTimeout(() => {
+        node.stop(0)
+        audioContext.processTo(1)
+      })
+    })
+    it('should reject if the node is destroyed', function (done) {
+      // Enough chunks for writes to be held back
+      const source = new Array(32).fill(new Float32Array(512))
+      node.consume(source).catch((err) => {
+        expect(err.message).to.equal('Node closed before the source was exhausted')
+        done()
+      })
+      setTimeout(() => {
+        node.destroy()
+        audioContext.processTo(1)
+      })
+    })
+    it('should reject if the source fails', function (done) {
+      const source = {}
+      source[Symbol.asyncIterator] = () => ({
+        next: () => Promise.reject(new Error('failed'))
+      })
+      node.consume(source).catch((err) => {
+        expect(err.message).to.equal('failed')
+        done()
+      })
+    })
+  })
+  describe('with tracks', function () {
+    beforeEach(function () {
+      createNode({ objectMode: true })
+    })
+    it('should sum all tracks and its own data', function () {
+      const a = node.createTrack({ objectMode: true })
+      const b = node.createTrack({ objectMode: true })
+      b.gain.value = 0.5
+      node.write(Float32Array.of(0.25, 0.25))
+      a.write(Float32Array.of(0.5, 0.5, 0.5))
+      b.write(Float32Array.of(0.5, 0.5, 0.5, 0.5))
+      expect(node.getTracks()).to.deep.equal([a, b])
+      const result = render()
+      expect(result.subarray(0, 5)).to.deep.equal(Float32Array.of(1, 1, 0.75, 0.25, 0))
+      expect(result.subarray(5)).to.be.silent
+    })
+    it('should consume data of muted tracks', function () {
+      const track = node.createTrack({ objectMode: true })
+      track.muted = true
+      track.write(new Float32Array(512).fill(1))
+      audioContext.processTo(256 / 4096)
+      track.muted = false
+      const result = render()
+      expect(result.subarray(0, 256)).to.be.silent
+      expect(result.subarray(256, 512)).to.deep.equal(new Float32Array(256).fill(1))
+      expect(() => { node.muted = true }).to.throw()
+    })
+    it('should control and monitor tracks independently', function (done) {
+      const a = node.createTrack({ objectMode: true })
+      const b = node.createTrack({ objectMode: true })
+      const events = []
+      a.on('underrun', () => events.push('a'))
+      b.on('underrun', () => events.push('b'))
+      a.write(new Float32Array(512).fill(0.5))
+      b.write(new Float32Array(512).fill(0.25))
+      b.pause(0)
+      audioContext.processTo(1024 / 4096)
+      expect(a.getStats().framesPlayed).to.equal(512)
+      expect(b.getStats().framesPlayed).to.equal(0)
+      process.nextTick(() => {
+        expect(events).to.deep.equal(['a'])
+        done()
+      })
+    })
+    it('should close tracks once they have ended and itself after all tracks', function (done) {
+      const track = node.createTrack({ objectMode: true })
+      const events = []
+      track.on('close', () => events.push('track'))
+      node.on('close', () => {
+        expect(events).to.deep.equal(['track'])
+        expect(node.getTracks()).to.be.empty
+        done()
+      })
+      node.end()
+      track.end(new Float32Array(1024))
+      setTimeout(() => audioContext.processTo(1))
+    })
+    it('should discard the data of removed tracks', function (done) {
+      const track = node.createTrack({ objectMode: true })
+      track.write(new Float32Array(1024).fill(1))
+      audioContext.processTo(256 / 4096)
+      node.removeTrack(track)
+      track.on('close', () => {
+        const result = render()
+        expect(result.subarray(0, 256)).to.deep.equal(new Float32Array(256).fill(1))
+        expect(result.subarray(256)).to.be.silent
+        done()
+      })
+    })
+    it('should fail writes to removed tracks', function (done) {
+      const track = node.createTrack({ objectMode: true })
+      node.removeTrack(track)
+      expect(track.destroyed).to.equal(true)
+      track.write(new Float32Array(1024).fill(1), (err) => {
+        expect(err.code).to.equal('ERR_STREAM_DESTROYED')
+        expect(render()).to.be.silent
+        done()
+      })
+    })
+    it('should not connect tracks to other nodes', function () {
+      const track = node.createTrack()
+      expect(() => track.connect(audioContext.destination)).to.throw('Tracks cannot be connected')
+      expect(() => track.createTrack()).to.throw()
+    })
+  })
+  describe('as an AudioNode', function () {
+    beforeEach(function () {
+      createContext()
+      node = new BufferQueueNode({
+        audioContext: audioContext,
+        bufferSize: 256,
+        objectMode: true,
+        channels: 2
+      })
+    })
+    it('should expose the AudioNode properties', function () {
+      expect(node.context).to.equal(audioContext)
+      expect(node.numberOfInputs).to.equal(0)
+      expect(node.numberOfOutputs).to.equal(1)
+      expect(node.channelCount).to.equal(2)
+      expect(node.channelCountMode).to.equal('explicit')
+      expect(node.channelInterpretation).to.equal('speakers')
+    })
+    it('should accept assignments of the AudioNode properties', function () {
+      node.channelCount = 1
+      node.channelCountMode = 'max'
+      node.channelInterpretation = 'discrete'
+      expect(node.channelCount).to.equal(1)
+      expect(node.channelCountMode).to.equal('max')
+      expect(node.channelInterpretation).to.equal('discrete')
+      expect(() => { node.channelCount = 0 }).to.throw('Unsupported channel count')
+      expect(() => { node.channelCountMode = 'fixed' }).to.throw('Unsupported channel count mode')
+      expect(() => { node.channelInterpretation = 'none' }).to.throw('Unsupported channel interpretation')
+      expect(node.channelInterpretation).to.equal('discrete')
+      // The output keeps two channels, but mono data is no longer up-mixed (the
+      // destination then mixes down to mono)
+      node.connect(audioContext.destination)
+      node.write({ data: Float32Array.of(1), channels: 1 })
+      expect(render()[0]).to.equal(0.5)
+    })
+    it('should return the destination node for chaining', function () {
+      const gainNode = audioContext.createGain()
+      expect(node.connect(gainNode).connect(audioContext.destination)).to.equal(audioContext.destination)
+      // Two interleaved channels
+      node.write(new Float32Array(16).fill(0.5))
+      expect(render().subarray(0, 8)).to.deep.equal(new Float32Array(8).fill(0.5))
+    })
+    it('should connect to AudioParams', function () {
+      const carrier = new BufferQueueNode({ audioContext: audioContext, bufferSize: 256, objectMode: true })
+      const gainNode = audioContext.createGain()
+      gainNode.gain.value = 0
+      carrier.connect(gainNode).connect(audioContext.destination)
+      expect(node.connect(gainNode.gain)).to.equal(undefined)
+      carrier.write(new Float32Array(8).fill(1))
+      node.write(new Float32Array(16).fill(0.5))
+      const result = render()
+      expect(result.subarray(0, 8)).to.deep.equal(new Float32Array(8).fill(0.5))
+      expect(result.subarray(8)).to.be.silent
+    })
+    it('should apply its gain', function () {
+      node.connect(audioContext.destination)
+      node.gain.value = 0.5
+      node.write(new Float32Array(16).fill(1))
+      const result = render()
+      expect(result.subarray(0, 8)).to.deep.equal(new Float32Array(8).fill(0.5))
+    })
+  })
+  describe('with the AudioWorklet backend', function () {
+    var processor
+    // Global scope of the worklet
+    var scope
+    var workletNode
+    // Messages to the node held back while the main thread is stalled, if it is
+    var stalledMessages
+    beforeEach(function () {
+      stalledMessages = null
+      createContext()
+      // Minimal stand-in for the AudioWorklet API, running the processor in the same thread
+      var Processor
+      var processorPort
+      class AudioWorkletProcessor {
+        constructor () {
+          this.port = processorPort
+        }
+      }
+      audioContext.audioWorklet = {
+        addModule () {
+          scope = {
+            AudioWorkletProcessor: AudioWorkletProcessor,
+            registerProcessor: (name, cls) => { Processor = cls },
+            currentFrame: 0,
+            currentTime: 0,
+            sampleRate: 4096
+          }
+          vm.runInNewContext(BufferQueueNode.WORKLET_PROCESSOR_SOURCE, scope)
+          return Promise.resolve()
+        }
+      }
+      global.AudioWorkletNode = class {
+        constructor (context, name, options) {
+          expect(options.outputChannelCount).to.deep.equal([1])
+          workletNode = this
+          const nodePort = this.port = { postMessage: (data) => processorPort.onmessage({ data: data }) }
+          processorPort = {
+            postMessage: (data) => {
+              if (stalledMessages) {
+                stalledMessages.push(data)
+              } else {
+                nodePort.onmessage({ data: data })
+              }
+            }
+          }
+          processor = new Processor()
+        }
+        connect () {}
+        disconnect () {}
+      }
+      createWorkletNode()
+    })
+    afterEach(function () {
+      delete global.AudioWorkletNode
+    })
+    function createWorkletNode (options) {
+      // The audio context with the AudioWorklet stand-in is kept
+      createNode({ audioContext: audioContext, objectMode: true, workletModuleUrl: 'processor.js' }, options)
+    }
+    function processQuantum () {
+      const output = [new Float32Array(128)]
+      const keepAlive = processor.process([], [output])
+      scope.currentFrame += 128
+      scope.currentTime = scope.currentFrame / scope.sampleRate
+      return { keepAlive: keepAlive, output: output[0] }
+    }
+    it('should play queued data through the worklet', function (done) {
+      const input = new Float32Array(1024).map((e, i) => i)
+      node.write(input)
+      setTimeout(() => {
+        // Playback starts a block after the current time
+        expect(processQuantum().output).to.be.silent
+        expect(processQuantum().output).to.be.silent
+        for (let i = 0; i < 8; i++) {
+          expect(processQuantum().output).to.deep.equal(input.subarray(i * 128, (i + 1) * 128))
+        }
+        expect(processQuantum().output).to.be.silent
+        done()
+      })
+    })
+    it('should play blocks at the time they have been rendered for', function (done) {
+      createWorkletNode({ renderAhead: { frames: 512 } })
+      const times = []
+      node.on('chunkstart', (e) => times.push(e.time))
+      for (let i = 0; i < 4; i++) {
+        node.write({ data: new Float32Array(256).fill(i + 1), metadata: i })
+      }
+      setTimeout(() => {
+        expect(times).to.deep.equal([256 / 4096, 512 / 4096])
+        // The main thread stalls while the processor plays all blocks in flight
+        stalledMessages = []
+        const output = []
+        for (let i = 0; i < 8; i++) {
+          output.push(...processQuantum().output)
+        }
+        expect(Float32Array.from(output.slice(256, 512))).to.deep.equal(new Float32Array(256).fill(1))
+        expect(Float32Array.from(output.slice(512, 768))).to.deep.equal(new Float32Array(256).fill(2))
+        expect(Float32Array.from(output.slice(768))).to.be.silent
+        audioContext.processTo(1024 / 4096)
+        const messages = stalledMessages
+        stalledMessages = null
+        messages.forEach((data) => workletNode.port.onmessage({ data: data }))
+        setTimeout(() => {
+          // Playback starts over a block after the current time
+          expect(times).to.deep.equal([256 / 4096, 512 / 4096, 1280 / 4096, 1536 / 4096])
+          expect(processQuantum().output).to.be.silent
+          expect(processQuantum().output).to.be.silent
+          expect(processQuantum().output).to.deep.equal(new Float32Array(128).fill(3))
+          done()
+        })
+      })
+    })
+    it('should skip the frames of blocks arriving too late', function (done) {
+      setTimeout(() => {
+        const input = new Float32Array(256).map((e, i) => i)
+        processor = new processor.constructor()
+        scope.currentFrame = 128
+        processor.port.onmessage({ data: { type: 'block', frame: 0, length: 256, channelData: [input] } })
+        expect(processQuantum().output).to.deep.equal(input.subarray(128))
+        // Only the block rendered to replace it is left
+        expect(processor._queued).to.equal(256)
+        done()
+      })
+    })
+    it('should keep the render-ahead in flight', function (done) {
+      // 0.2 seconds by default
+      setTimeout(() => {
+        expect(processor._queued).to.equal(1024)
+        createWorkletNode({ renderAhead: { frames: 2000 } })
+        setTimeout(() => {
+          expect(processor._queued).to.equal(2048)
+          for (let i = 0; i < 4; i++) {
+            processQuantum()
+          }
+          // Consumed blocks are replaced
+          expect(processor._queued).to.equal(2048)
+          done()
+        })
+      })
+    })
+    it('should close once all data has been played', function (done) {
+      node.end(new Float32Array(300).fill(1))
+      let closed = false
+      node.on('close', () => { closed = true })
+      setTimeout(() => {
+        const output = []
+        let result
+        do {
+          result = processQuantum()
+          output.push(...result.output)
+          expect(output.length).to.be.below(4096)
+        } while (result.keepAlive)
+        expect(Float32Array.from(output.slice(0, 256))).to.be.silent
+        expect(Float32Array.from(output.slice(256, 556))).to.deep.equal(new Float32Array(300).fill(1))
+        expect(Float32Array.from(output.slice(556))).to.be.silent
+        expect(closed).to.be.false
+        setTimeout(() => {
+          expect(closed).to.be.true
+          done()
+        })
+      })
+    })
+  })
+  describe('capture node', function () {
+    var source
+    beforeEach(function () {
+      createContext()
+      source = new BufferQueueNode({
+        audioContext: audioContext,
+        bufferSize: 256,
+        objectMode: true
+      })
+      source.write(new Float32Array(4096).fill(0.5))
+    })
+    function createCapture (options) {
+      const capture = new BufferQueueNode.CaptureNode(Object.assign({
+        audioContext: audioContext,
+        bufferSize: 256
+      }, options))
+      source.connect(capture.input)
+      return capture
+    }
+    function readAll (capture) {
+      const chunks = []
+      let chunk
+      while ((chunk = capture.read()) !== null) {
+        chunks.push(chunk)
+      }
+      return chunks
+    }
+    it('should emit planar Float32Arrays in object mode', function () {
+      const capture = createCapture({ objectMode: true, channels: 2, interleaved: false })
+      audioContext.processTo(1)
+      const chunks = readAll(capture)
+      expect(chunks.length).to.be.above(4)
+      const last = chunks[chunks.length - 1]
+      expect(last).to.be.an.instanceof(Float32Array)
+      // Mono input is up-mixed to both channels
+      expect(last).to.deep.equal(new Float32Array(512).fill(0.5))
+    })
+    it('should emit raw Int16 bytes when not in object mode', function () {
+      const capture = createCapture({ dataType: BufferQueueNode.Int16ArrayBE })
+      audioContext.processTo(1)
+      const bytes = capture.read()
+      expect(bytes).to.be.an.instanceof(Buffer)
+      expect(bytes.length % 2).to.equal(0)
+      expect(bytes.readInt16BE(bytes.length - 2)).to.equal(16384)
+    })
+    it('should emit AudioBuffers in object mode', function () {
+      const capture = createCapture({ objectMode: true, dataType: BufferQueueNode.AudioBuffer })
+      audioContext.processTo(1)
+      const chunks = readAll(capture)
+      const last = chunks[chunks.length - 1]
+      expect(last.length).to.equal(256)
+      expect(last.getChannelData(0)).to.deep.equal(new Float32Array(256).fill(0.5))
+    })
+    it('should require object mode for AudioBuffers', function () {
+      expect(() => createCapture({ dataType: BufferQueueNode.AudioBuffer })).to.throw('object mode')
+    })
+    it('should drop the oldest data if the consumer is not reading', function (done) {
+      const capture = createCapture({ objectMode: true, highWaterMark: 1, maxBuffered: { frames: 512 } })
+      let dropped = 0
+      capture.on('overflow', (e) => { dropped += e.frames })
+      audioContext.processTo(1)
+      process.nextTick(() => {
+        // One chunk in the stream's buffer and two held back
+        expect(readAll(capture).length).to.equal(3)
+        expect(dropped).to.equal(4096 - 3 * 256)
+        done()
+      })
+    })
+    it('should end once stopped', function (done) {
+      const capture = createCapture({ objectMode: true })
+      const chunks = []
+      capture.on('data', (chunk) => chunks.push(chunk))
+      capture.on('end', () => {
+        expect(chunks.length).to.be.above(0)
+        done()
+      })
+      audioContext.processTo(1024 / 4096)
+      capture.stop()
+    })
+  })
+  describe('with WAVE input', function () {
+    const options = { channels: 2, container: 'wav' }
+    function chunk (id, content) {
+      const header = Buffer.alloc(8)
+      header.write(id, 0, 'ascii')
+      header.writeUInt32LE(content.length, 4)
+      const padding = Buffer.alloc(content.length & 1)
+      return Buffer.concat([header, content, padding])
+    }
+    function wav (tag, channels, sampleRate, bits, data, extra) {
+      const fmt = Buffer.alloc(16)
+      fmt.writeUInt16LE(tag, 0)
+      fmt.writeUInt16LE(channels, 2)
+      fmt.writeUInt32LE(sampleRate, 4)
+      fmt.writeUInt32LE(sampleRate * channels * bits / 8, 8)
+      fmt.writeUInt16LE(channels * bits / 8, 12)
+      fmt.writeUInt16LE(bits, 14)
+      const chunks = [chunk('fmt ', fmt)].concat(extra || [], [chunk('data', data)])
+      const body = Buffer.concat([Buffer.from('WAVE', 'ascii')].concat(chunks))
+      return Buffer.concat([chunk('RIFF', body)])
+    }
+    it('should configure 16-bit stereo PCM from the header', function () {
+      createNode(options)
+      const data = Buffer.from(Int16Array.of(16384, -16384, -32768, 32767).buffer)
+      const file = wav(1, 2, 4096, 16, data, [chunk('LIST', Buffer.from('odd'))])
+      // Split at arbitrary bytes, also within the header
+      for (let i = 0; i < file.length; i += 5) {
+        node.write(file.slice(i, i + 5))
+      }
+      const result = renderChannels()
+      expect(result[0].subarray(0, 2)).to.deep.equal(Float32Array.of(16384 / 32767, -1))
+      expect(result[1].subarray(0, 2)).to.deep.equal(Float32Array.of(-0.5, 1))
+      expect(result[0].subarray(2)).to.be.silent
+    })
+    it('should mix to the number of output channels', function () {
+      createNode(options)
+      node.write(wav(3, 1, 4096, 32, Buffer.from(Float32Array.of(0.25, 0.5).buffer)))
+      const result = renderChannels()
+      expect(result[0].subarray(0, 3)).to.deep.equal(Float32Array.of(0.25, 0.5, 0))
+      expect(result[1].subarray(0, 3)).to.deep.equal(Float32Array.of(0.25, 0.5, 0))
+    })
+    it('should decode 8-bit and 24-bit PCM', function () {
+      createNode(options, { channels: 1 })
+      node.write(wav(1, 1, 4096, 8, Buffer.from([0, 128, 255])))
+      expect(render().subarray(0, 4)).to.deep.equal(Float32Array.of(-1, 0, 1, 0))
+
+      createNode(options, { channels: 1 })
+      node.write(wav(1, 1, 4096, 24, Buffer.from([0x00, 0x00, 0xc0, 0xff, 0xff, 0x7f])))
+      expect(render().subarray(0, 3)).to.deep.equal(Float32Array.of(-0.5, 1, 0))
+    })
+    it('should resample to the rate of the audio context', function () {
+      createNode(options, { channels: 1 })
+      node.write(wav(3, 1, 2048, 32, Buffer.from(new Float32Array(4).fill(1).buffer)))
+      const result = render()
+      // The last frame is held back until more data follows (or the stream ends)
+      expect(result.subarray(0, 6)).to.deep.equal(new Float32Array(6).fill(1))
+      expect(result.subarray(6)).to.be.silent
+    })
+    it('should convert durations at the sample rate from the header', function (done) {
+      createNode(options, { channels: 1, queueHighWaterMark: 0.25 })
+      let written = false
+      node.write(wav(3, 1, 1024, 32, Buffer.from(new Float32Array(256).buffer)), () => {
+        written = true
+      })
+      setTimeout(() => {
+        // A quarter of a second at 1024 Hz fills the queue
+        expect(written).to.equal(false)
+        done()
+      })
+    })
+    it('should ignore data after the data chunk', function () {
+      createNode(options, { channels: 1 })
+      const file = wav(3, 1, 4096, 32, Buffer.from(Float32Array.of(1).buffer))
+      node.write(Buffer.concat([file, chunk('LIST', Buffer.alloc(16, 0xff))]))
+      expect(render().subarray(0, 2)).to.deep.equal(Float32Array.of(1, 0))
+    })
+    it('should emit an error for compressed formats', function (done) {
+      createNode(options)
+      node.on('error', (err) => {
+        expect(err.message).to.contain('Unsupported WAVE encoding')
+        done()
+      })
+      node.write(wav(2, 1, 4096, 4, Buffer.alloc(16)))
+    })
+    it('should emit an error for other containers', function (done) {
+      createNode(options)
+      node.on('error', (err) => {
+        expect(err.message).to.contain('RIFF/WAVE')
+        done()
+      })
+      node.write(Buffer.from('OggS\0\0\0\0\0\0\0\0\0\0', 'ascii'))
+    })
+  })
   describe('not in object mode', function () {
     describe('for a single channel', function () {
       beforeEach(function () {
@@ -266,6 +1796,33 @@ describe('BufferQueueNode', function () {
         expect(result.subarray(0, 8)).to.deep.equal(input)
         expect(result.subarray(8)).to.be.silent
       })
+      it('should carry incomplete sample-frames over to the next chunk', function () {
+        node = new BufferQueueNode({
+          dataType: BufferQueueNode.Float32Array,
+          audioContext: audioContext,
+          channels: 1,
+          bufferSize: 256
+        })
+        node.connect(audioContext.destination)
+
+        const input = Float32Array.of(0, 1, 2, 3, 4, 5, 6, 7)
+        const bytes = Buffer.from(input.buffer)
+        node.write(bytes.slice(0, 3))
+        node.write(bytes.slice(3, 4))
+        node.write(bytes.slice(4, 13))
+        node.write(bytes.slice(13))
+        audioContext.processTo(1)
+        const result = audioContext.exportAsAudioData().channelData[0].subarray(256)
+        expect(result.subarray(0, 8)).to.deep.equal(input)
+        expect(result.subarray(8)).to.be.silent
+      })
+      it('should emit an error when ending with an incomplete sample-frame', function (done) {
+        node.on('error', (err) => {
+          expect(err.message).to.contain('incomplete')
+          done()
+        })
+        node.end(Buffer.alloc(6))
+      })
       it('should handle Int16Array-like data', function () {
         node = new BufferQueueNode({
           dataType: BufferQueueNode.Int16Array,
@@ -283,5 +1840,62 @@ describe('BufferQueueNode', function () {
         expect(result.subarray(4)).to.be.silent
       })
     })
+    describe('for two interleaved channels', function () {
+      beforeEach(function () {
+        audioContext = new AudioContext({
+          sampleRate: 4096,
+          numberOfChannels: 2,
+          blockSize: 256
+        })
+        node = new BufferQueueNode({
+          dataType: BufferQueueNode.Int16Array,
+          audioContext: audioContext,
+          channels: 2,
+          bufferSize: 256
+        })
+        node.connect(audioContext.destination)
+      })
+      it('should realign sample-frames split across chunks', function () {
+        const bytes = Buffer.from(Int16Array.of(0, -(1 << 15), (1 << 15) - 1, 0).buffer)
+        node.write(bytes.slice(0, 1))
+        node.write(bytes.slice(1, 3))
+        node.write(bytes.slice(3, 7))
+        node.write(bytes.slice(7))
+        audioContext.processTo(1)
+        const audioData = audioContext.exportAsAudioData()
+        const resultA = audioData.channelData[0].subarray(256)
+        const resultB = audioData.channelData[1].subarray(256)
+        expect(resultA.subarray(0, 3)).to.deep.equal(Float32Array.of(0, 1, 0))
+        expect(resultB.subarray(0, 3)).to.deep.equal(Float32Array.of(-1, 0, 0))
+      })
+    })
+    describe('for two non interleaved channels', function () {
+      beforeEach(function () {
+        audioContext = new AudioContext({
+          sampleRate: 4096,
+          numberOfChannels: 2,
+          blockSize: 256
+        })
+        node = new BufferQueueNode({
+          dataType: BufferQueueNode.Int16Array,
+          audioContext: audioContext,
+          channels: 2,
+          interleaved: false,
+          bufferSize: 256
+        })
+        node.connect(audioContext.destination)
+      })
+      it('should fail to write chunks with incomplete sample-frames', function (done) {
+        node.on('error', () => {})
+        node.write(Buffer.alloc(7), (err) => {
+          expect(err.message).to.equal('Chunk does not contain whole sample-frames')
+          audioContext.processTo(1)
+          const audioData = audioContext.exportAsAudioData()
+          expect(audioData.channelData[0].subarray(256)).to.be.silent
+          expect(audioData.channelData[1].subarray(256)).to.be.silent
+          done()
+        })
+      })
+    })
   })
 })